@@ -0,0 +1,363 @@
+/**
+ * WebSocket relay keeping shared flip grids in step, with no dependencies beyond Node itself.
+ *
+ * Run it with `node relay-server.js [port]` (default 8787, or the PORT environment variable)
+ * and connect grids with `grid.connect('ws://localhost:8787', {room, name})`.
+ * Its tests run with `node --test relay-server.test.js`.
+ *
+ * Each room holds the flipped state of every cell together with a version number per cell.
+ * A flip names the version it was based on and is only applied when that is still the cell's
+ * version, so when two people flip the same cell at once the first one wins and the second
+ * is told the current state instead of toggling the cell straight back.
+ * Rooms live in memory for as long as someone is connected to them.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+// Magic string of the WebSocket handshake, RFC 6455 section 1.3
+const handshakeGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Largest message accepted from a client, in bytes
+const maxPayloadLength = 64 * 1024;
+
+// Most rooms held at once; rooms are dropped when their last client leaves
+const maxRooms = 1000;
+
+/**
+ * Encodes a frame; server frames are never masked
+ * @param {string|Buffer} text - The message, or the exact payload bytes
+ * @param {number} [opcode=1] - The frame opcode
+ * @return {Buffer} The frame
+ */
+function encodeFrame(text, opcode = 1) {
+    const payload = Buffer.from(text);
+    let header;
+    
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Encodes a close frame
+ * @param {number} code - The status code, RFC 6455 section 7.4
+ * @return {Buffer} The frame
+ */
+function encodeCloseFrame(code) {
+    return encodeFrame(Buffer.from([code >> 8, code & 0xff]), 0x8);
+}
+
+/**
+ * Reads the complete frames at the start of a buffer
+ * @param {Buffer} buffer - The received bytes
+ * @return {{frames: Array<{fin: boolean, opcode: number, payload: Buffer}>, rest: Buffer, error: string|null}}
+ * The frames, the bytes of an incomplete frame left over, and an error for a bad frame
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    
+    while (buffer.length - offset >= 2) {
+        const fin = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+        
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+        
+        if (!masked) {
+            return { frames, rest: Buffer.alloc(0), error: 'client frames must be masked' };
+        }
+        if (length > maxPayloadLength) {
+            return { frames, rest: Buffer.alloc(0), error: 'message too large' };
+        }
+        if (buffer.length - offset < headerLength + 4 + length) {
+            break;
+        }
+        
+        const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + 4, offset + headerLength + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        
+        frames.push({ fin, opcode, payload });
+        offset += headerLength + 4 + length;
+    }
+    
+    return { frames, rest: buffer.subarray(offset), error: null };
+}
+
+/**
+ * Creates the relay server, not yet listening
+ * @return {http.Server} The HTTP server handling WebSocket upgrades
+ */
+function createRelayServer() {
+    // Rooms by name: the grid size, the cell states and versions, and the connected clients
+    const rooms = new Map();
+    let nextClientId = 1;
+    
+    const server = http.createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('Flip grid relay: connect with a WebSocket\n');
+    });
+    
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        
+        const accept = crypto.createHash('sha1').update(key + handshakeGuid).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+        
+        const id = String(nextClientId++);
+        const client = {
+            id,
+            socket,
+            room: null,
+            name: '',
+            color: `hsl(${(Number(id) * 137) % 360}, 80%, 60%)`
+        };
+        
+        let received = Buffer.alloc(0);
+        
+        // Parts of the text message being received, null between messages
+        let fragments = null;
+        let fragmentsLength = 0;
+        
+        socket.on('data', chunk => {
+            // Anything sent after the relay closed the connection is not read
+            if (socket.writableEnded) {
+                return;
+            }
+            
+            const { frames, rest, error } = decodeFrames(Buffer.concat([received, chunk]));
+            received = rest;
+            
+            for (const frame of frames) {
+                if (frame.opcode === 0x8) {
+                    socket.end(encodeFrame('', 0x8));
+                    return;
+                }
+                if (frame.opcode === 0x9) {
+                    socket.write(encodeFrame(frame.payload, 0xa));
+                    continue;
+                }
+                
+                // Text frames, possibly split over continuation frames; a continuation
+                // with no message to continue is dropped
+                if (frame.opcode === 0x1) {
+                    fragments = [];
+                    fragmentsLength = 0;
+                } else if (frame.opcode !== 0x0 || !fragments) {
+                    continue;
+                }
+                
+                // The whole message is held to the same limit as a single frame
+                fragments.push(frame.payload);
+                fragmentsLength += frame.payload.length;
+                if (fragmentsLength > maxPayloadLength) {
+                    socket.end(encodeCloseFrame(1009));
+                    return;
+                }
+                
+                if (frame.fin) {
+                    const text = Buffer.concat(fragments).toString();
+                    fragments = null;
+                    handleMessage(client, text);
+                }
+            }
+            
+            if (error) {
+                socket.end(encodeCloseFrame(error === 'message too large' ? 1009 : 1002));
+            }
+        });
+        
+        socket.on('close', () => leave(client));
+        socket.on('error', () => socket.destroy());
+    });
+    
+    /**
+     * Sends a message to a client
+     * @param {Object} client - The client
+     * @param {Object} message - The message, sent as JSON
+     */
+    function send(client, message) {
+        if (!client.socket.destroyed) {
+            client.socket.write(encodeFrame(JSON.stringify(message)));
+        }
+    }
+    
+    /**
+     * Sends a message to every client in a room
+     * @param {Object} room - The room
+     * @param {Object} message - The message, sent as JSON
+     * @param {Object} [except] - A client to leave out
+     */
+    function broadcast(room, message, except) {
+        room.clients.forEach(client => {
+            if (client !== except) {
+                send(client, message);
+            }
+        });
+    }
+    
+    /**
+     * Handles a message from a client
+     * @param {Object} client - The sending client
+     * @param {string} text - The raw message
+     */
+    function handleMessage(client, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return;
+        }
+        if (!message || typeof message !== 'object') {
+            return;
+        }
+        
+        if (message.type === 'join') {
+            join(client, message);
+            return;
+        }
+        
+        const room = client.room;
+        if (!room) {
+            return;
+        }
+        
+        if (message.type === 'flip') {
+            const index = message.index;
+            if (!Number.isInteger(index) || index < 0 || index >= room.flipped.length) {
+                return;
+            }
+            
+            // Compare and set: a flip based on an outdated version is refused
+            if (message.version !== room.versions[index]) {
+                send(client, { type: 'reject', index, flipped: room.flipped[index], version: room.versions[index] });
+                return;
+            }
+            
+            room.flipped[index] = Boolean(message.flipped);
+            room.versions[index]++;
+            broadcast(room, { type: 'flip', index, flipped: room.flipped[index], version: room.versions[index], by: client.id });
+        } else if (message.type === 'reset') {
+            room.flipped.fill(false);
+            room.versions = room.versions.map(version => version + 1);
+            broadcast(room, { type: 'reset', versions: room.versions, by: client.id });
+        } else if (message.type === 'cursor') {
+            const valid = typeof message.x === 'number' && typeof message.y === 'number';
+            broadcast(room, { type: 'cursor', id: client.id, x: valid ? message.x : null, y: valid ? message.y : null }, client);
+        }
+    }
+    
+    /**
+     * Adds a client to a room, creating the room from the client's grid if it is new
+     * @param {Object} client - The joining client
+     * @param {Object} message - The join message with `room`, `name`, `rows`, `cols` and `flipped`
+     */
+    function join(client, message) {
+        if (client.room) {
+            return;
+        }
+        
+        const name = String(message.room || 'default');
+        const rows = Number(message.rows);
+        const cols = Number(message.cols);
+        if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows < 1 || cols < 1 || rows * cols > 10000) {
+            send(client, { type: 'error', message: 'Invalid grid size' });
+            return;
+        }
+        
+        let room = rooms.get(name);
+        if (!room) {
+            if (rooms.size >= maxRooms) {
+                send(client, { type: 'error', message: 'Too many rooms' });
+                return;
+            }
+            
+            const flipped = Array.isArray(message.flipped) && message.flipped.length === rows * cols
+                ? message.flipped.map(Boolean)
+                : new Array(rows * cols).fill(false);
+            room = { name, rows, cols, flipped, versions: new Array(rows * cols).fill(0), clients: new Set() };
+            rooms.set(name, room);
+        } else if (room.rows !== rows || room.cols !== cols) {
+            send(client, { type: 'error', message: `Room "${name}" has a ${room.rows}x${room.cols} grid` });
+            return;
+        }
+        
+        client.name = String(message.name || `Guest ${client.id}`).slice(0, 40);
+        client.room = room;
+        
+        send(client, {
+            type: 'welcome',
+            id: client.id,
+            color: client.color,
+            flipped: room.flipped,
+            versions: room.versions,
+            peers: [...room.clients].map(peer => ({ id: peer.id, name: peer.name, color: peer.color }))
+        });
+        broadcast(room, { type: 'peer', id: client.id, name: client.name, color: client.color });
+        room.clients.add(client);
+    }
+    
+    /**
+     * Removes a client from its room
+     * @param {Object} client - The leaving client
+     */
+    function leave(client) {
+        const room = client.room;
+        if (room && room.clients.delete(client)) {
+            broadcast(room, { type: 'leave', id: client.id });
+            
+            // Nobody is left to share the grid with
+            if (room.clients.size === 0) {
+                rooms.delete(room.name);
+            }
+        }
+        client.room = null;
+    }
+    
+    return server;
+}
+
+module.exports = { createRelayServer, encodeFrame, decodeFrames };
+
+if (require.main === module) {
+    const port = Number(process.argv[2] || process.env.PORT || 8787);
+    createRelayServer().listen(port, () => {
+        console.log(`Flip grid relay listening on ws://localhost:${port}`);
+    });
+}
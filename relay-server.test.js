@@ -0,0 +1,218 @@
+/**
+ * Tests of the relay, run with `node --test`.
+ * Each test starts the relay on a free local port and talks to it over raw sockets.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const { createRelayServer, encodeFrame, decodeFrames } = require('./relay-server');
+
+/**
+ * Masks a payload into a client frame
+ * @param {string|Buffer} data - The payload
+ * @param {number} [opcode=1] - The frame opcode
+ * @param {boolean} [fin=true] - Whether the frame ends its message
+ * @return {Buffer} The frame
+ */
+function encodeClientFrame(data, opcode = 1, fin = true) {
+    const payload = Buffer.from(data);
+    const mask = crypto.randomBytes(4);
+    const masked = Buffer.from(payload.map((byte, index) => byte ^ mask[index % 4]));
+    const first = (fin ? 0x80 : 0) | opcode;
+    const header = payload.length < 126
+        ? Buffer.from([first, 0x80 | payload.length])
+        : Buffer.from([first, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+    return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * Starts a relay on a free port
+ * @return {Promise<{server: http.Server, port: number}>} The listening relay
+ */
+function startRelay() {
+    const server = createRelayServer();
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port }));
+    });
+}
+
+/**
+ * Connects a client, collecting the frames the relay sends
+ * @param {number} port - The relay port
+ * @return {Promise<Object>} The client with its `response`, `socket`, `send(message)`, `ping(payload)`,
+ * `next()` resolving to the next frame, and `close()`
+ */
+function connectClient(port) {
+    const key = crypto.randomBytes(16).toString('base64');
+    
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            port,
+            host: '127.0.0.1',
+            headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': key, 'Sec-WebSocket-Version': '13' }
+        });
+        request.on('error', reject);
+        request.on('upgrade', (response, socket) => {
+            const frames = [];
+            const waiting = [];
+            let received = Buffer.alloc(0);
+            
+            // Server frames are unmasked and below 64KiB in these tests
+            socket.on('data', chunk => {
+                received = Buffer.concat([received, chunk]);
+                while (received.length >= 4 || (received.length >= 2 && (received[1] & 0x7f) < 126)) {
+                    const extended = (received[1] & 0x7f) === 126;
+                    const start = extended ? 4 : 2;
+                    const length = extended ? received.readUInt16BE(2) : received[1] & 0x7f;
+                    if (received.length < start + length) {
+                        break;
+                    }
+                    
+                    const frame = { opcode: received[0] & 0x0f, payload: received.subarray(start, start + length) };
+                    received = received.subarray(start + length);
+                    if (waiting.length > 0) {
+                        waiting.shift()(frame);
+                    } else {
+                        frames.push(frame);
+                    }
+                }
+            });
+            
+            resolve({
+                key,
+                response,
+                socket,
+                send: message => socket.write(encodeClientFrame(JSON.stringify(message))),
+                ping: payload => socket.write(encodeClientFrame(payload, 0x9)),
+                next: () => (frames.length > 0 ? Promise.resolve(frames.shift()) : new Promise(done => waiting.push(done))),
+                nextMessage() {
+                    return this.next().then(frame => JSON.parse(frame.payload.toString()));
+                },
+                close: () => new Promise(done => {
+                    socket.once('close', done);
+                    socket.end(encodeClientFrame('', 0x8));
+                })
+            });
+        });
+        request.end();
+    });
+}
+
+test('answers the handshake with the accept key', async () => {
+    const { server, port } = await startRelay();
+    const client = await connectClient(port);
+    
+    const expected = crypto.createHash('sha1').update(client.key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+    assert.strictEqual(client.response.statusCode, 101);
+    assert.strictEqual(client.response.headers['sec-websocket-accept'], expected);
+    
+    await client.close();
+    server.close();
+});
+
+test('decodes masked frames and keeps incomplete ones', () => {
+    const first = encodeClientFrame('{"type":"reset"}');
+    const second = encodeClientFrame('x'.repeat(200));
+    const { frames, rest, error } = decodeFrames(Buffer.concat([first, second.subarray(0, 10)]));
+    
+    assert.strictEqual(error, null);
+    assert.strictEqual(frames.length, 1);
+    assert.strictEqual(frames[0].payload.toString(), '{"type":"reset"}');
+    assert.strictEqual(rest.length, 10);
+    
+    const { frames: long } = decodeFrames(Buffer.concat([rest, second.subarray(10)]));
+    assert.strictEqual(long[0].payload.toString(), 'x'.repeat(200));
+});
+
+test('refuses unmasked client frames', () => {
+    assert.strictEqual(decodeFrames(encodeFrame('hello')).error, 'client frames must be masked');
+});
+
+test('echoes binary ping payloads exactly', async () => {
+    const { server, port } = await startRelay();
+    const client = await connectClient(port);
+    const payload = Buffer.from([0xff, 0x00, 0xc3, 0x28]);
+    
+    client.ping(payload);
+    const pong = await client.next();
+    assert.strictEqual(pong.opcode, 0xa);
+    assert.deepStrictEqual(Buffer.from(pong.payload), payload);
+    
+    await client.close();
+    server.close();
+});
+
+test('applies the first flip of a cell and rejects a flip based on an old version', async () => {
+    const { server, port } = await startRelay();
+    const first = await connectClient(port);
+    const second = await connectClient(port);
+    
+    first.send({ type: 'join', room: 'cas', rows: 2, cols: 2 });
+    assert.strictEqual((await first.nextMessage()).type, 'welcome');
+    second.send({ type: 'join', room: 'cas', rows: 2, cols: 2 });
+    assert.deepStrictEqual((await second.nextMessage()).versions, [0, 0, 0, 0]);
+    assert.strictEqual((await first.nextMessage()).type, 'peer');
+    
+    // The second flip is only sent once the first one has been applied, as the relay
+    // reads the two connections in no set order
+    first.send({ type: 'flip', index: 1, flipped: true, version: 0 });
+    const applied = await first.nextMessage();
+    assert.deepStrictEqual([applied.type, applied.flipped, applied.version], ['flip', true, 1]);
+    second.send({ type: 'flip', index: 1, flipped: true, version: 0 });
+    
+    const seen = await second.nextMessage();
+    assert.deepStrictEqual([seen.type, seen.version], ['flip', 1]);
+    const rejected = await second.nextMessage();
+    assert.deepStrictEqual([rejected.type, rejected.flipped, rejected.version], ['reject', true, 1]);
+    
+    await first.close();
+    await second.close();
+    server.close();
+});
+
+test('drops continuation frames that continue no message', async () => {
+    const { server, port } = await startRelay();
+    const client = await connectClient(port);
+    
+    client.socket.write(encodeClientFrame(JSON.stringify({ type: 'join', room: 'stray', rows: 3, cols: 3 }), 0x0));
+    client.send({ type: 'join', room: 'sent', rows: 2, cols: 2 });
+    assert.strictEqual((await client.nextMessage()).flipped.length, 4);
+    
+    await client.close();
+    server.close();
+});
+
+test('closes with 1009 when a fragmented message grows too large', async () => {
+    const { server, port } = await startRelay();
+    const client = await connectClient(port);
+    const part = 'x'.repeat(40 * 1024);
+    
+    client.socket.write(encodeClientFrame(part, 0x1, false));
+    client.socket.write(encodeClientFrame(part, 0x0, false));
+    const close = await client.next();
+    assert.strictEqual(close.opcode, 0x8);
+    assert.strictEqual(close.payload.readUInt16BE(0), 1009);
+    
+    client.socket.destroy();
+    server.close();
+});
+
+test('drops a room once its last client leaves', async () => {
+    const { server, port } = await startRelay();
+    const first = await connectClient(port);
+    
+    first.send({ type: 'join', room: 'gone', rows: 2, cols: 2 });
+    await first.nextMessage();
+    await first.close();
+    
+    // A new grid of another size can take the name
+    const second = await connectClient(port);
+    second.send({ type: 'join', room: 'gone', rows: 3, cols: 3 });
+    const welcome = await second.nextMessage();
+    assert.strictEqual(welcome.type, 'welcome');
+    assert.strictEqual(welcome.flipped.length, 9);
+    
+    await second.close();
+    server.close();
+});
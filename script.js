@@ -1,816 +1,6810 @@
-document.addEventListener('DOMContentLoaded', () => {
-    // Constants for grid and effects
-    const gridContainer = document.getElementById('grid');
-    const gridSize = 9;
-    const cells = [];
-    const particlesPerClick = 25;
-    const smokeParticlesPerClick = 8;
-    const glowEffectsPerClick = 3;
-    const sparkleParticlesPerClick = 15;
-    const rippleEffectsPerClick = 2;
+// Live grid instances keyed by their container element
+const flipGridInstances = new WeakMap();
+
+// Number of grids created so far, used to keep cell ids unique on the page
+let flipGridCount = 0;
+
+// Effect profiles: `scale` multiplies every particle count, the flags
+// switch off the canvas blur glow, the shockwave, the completion floaters
+// and the pulsing of a completed grid
+const effectProfiles = {
+    full: { scale: 1, canvasGlow: true, shockwave: true, floaters: true, gridPulse: true },
+    lite: { scale: 0.4, canvasGlow: false, shockwave: true, floaters: true, gridPulse: true },
+    minimal: { scale: 0.12, canvasGlow: false, shockwave: false, floaters: false, gridPulse: false },
+    none: { scale: 0, canvasGlow: false, shockwave: false, floaters: false, gridPulse: false }
+};
+
+// Named color themes. `stops` are the hues the gradient runs through from the
+// top-left to the bottom-right cell (values past 360 wrap around the color wheel),
+// `cell` and `particles` give the saturation and lightness ranges of the revealed
+// cells and of the effects, `background`, `shadow` and `glow` style the container,
+// and an optional `image` URL is revealed by the flipped cells instead of flat colors
+const flipGridThemes = {
+    nebula: {
+        stops: [240, 300],
+        cell: { saturation: [60, 80], lightness: [35, 50] },
+        particles: { saturation: [70, 100], lightness: [50, 70] },
+        background: 'linear-gradient(135deg, #2c1654 0%, #341c6a 25%, #3a1b7a 50%, #4b1b8a 75%, #5a1b9a 100%)',
+        shadow: '#341c6a',
+        glow: 'rgba(138, 43, 226, 0.5)'
+    },
+    ember: {
+        stops: [350, 385, 410],
+        cell: { saturation: [70, 90], lightness: [35, 50] },
+        particles: { saturation: [80, 100], lightness: [50, 65] },
+        background: 'linear-gradient(135deg, #2a0a0a 0%, #4a1208 35%, #6b2406 70%, #7a3b05 100%)',
+        shadow: '#4a1208',
+        glow: 'rgba(255, 120, 40, 0.5)'
+    },
+    ocean: {
+        stops: [170, 200, 225],
+        cell: { saturation: [55, 75], lightness: [30, 45] },
+        particles: { saturation: [70, 95], lightness: [50, 70] },
+        background: 'linear-gradient(135deg, #04202c 0%, #06344a 40%, #0a4a66 75%, #0e5a7a 100%)',
+        shadow: '#06344a',
+        glow: 'rgba(40, 200, 230, 0.5)'
+    },
+    forest: {
+        stops: [80, 120, 160],
+        cell: { saturation: [40, 65], lightness: [28, 42] },
+        particles: { saturation: [60, 90], lightness: [45, 65] },
+        background: 'linear-gradient(135deg, #0c1f0e 0%, #143018 40%, #1c4222 75%, #24522a 100%)',
+        shadow: '#143018',
+        glow: 'rgba(120, 220, 100, 0.5)'
+    }
+};
+
+/**
+ * Adds a theme that grids can switch to by name.
+ * Missing properties are taken from the `nebula` theme.
+ * @param {string} name - The theme name
+ * @param {Object} theme - The theme definition, see `flipGridThemes`
+ */
+function registerFlipGridTheme(name, theme) {
+    flipGridThemes[name] = { ...flipGridThemes.nebula, ...theme };
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * @param {number|string} seed - The seed; strings are hashed to a number
+ * @return {Function} A function returning numbers in [0, 1), like `Math.random`
+ */
+function createRandom(seed) {
+    let state = typeof seed === 'string' ? hashString(seed) : seed >>> 0;
     
-    // Canvas setup for advanced particle effects
-    const canvas = document.getElementById('particleCanvas');
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hashes a string to a 32-bit unsigned integer (FNV-1a)
+ * @param {string} text - The string to hash
+ * @return {number} The hash
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Shuffles an array in place (Fisher-Yates)
+ * @param {Array} items - The array to shuffle
+ * @param {Function} random - The random number source
+ * @return {Array} The same array
+ */
+function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+// Game modes by name, see `registerFlipGridMode`
+const flipGridModes = {};
+
+/**
+ * Adds a game mode that grids can switch to by name.
+ * The factory is called with a controller for the grid and the mode options, and returns an
+ * object with `activate(row, col)` (called instead of the default flip when a cell is clicked
+ * or activated by keyboard) and optionally `reset()`, `destroy()` and `getStats()`.
+ * A mode may also pick cell colors with `getCellColor(row, col)`, returning a CSS color or null
+ * for the theme's, and set `completion: false` to skip the completion celebration.
+ * @param {string} name - The mode name
+ * @param {Function} factory - Creates the mode for a grid
+ */
+function registerFlipGridMode(name, factory) {
+    flipGridModes[name] = factory;
+}
+
+/**
+ * Builds the keyframes of a pattern covering every cell
+ * @param {number} rows - The number of rows
+ * @param {number} cols - The number of columns
+ * @param {Function} getTime - Returns the start time of a cell in milliseconds from its row and column
+ * @return {Array<{row: number, col: number, at: number}>} The keyframes
+ */
+function mapCells(rows, cols, getTime) {
+    const keyframes = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            keyframes.push({ row, col, at: getTime(row, col) });
+        }
+    }
+    return keyframes;
+}
+
+// Flip sequences by name, see `registerFlipGridPattern`. Each one is called with the grid size and
+// the sequence options and returns `{row, col, at}` keyframes, `at` in milliseconds
+const flipGridPatterns = {
+    // The wave used when the grid loads
+    diagonal: (rows, cols, { step = 50 } = {}) => mapCells(rows, cols, (row, col) => (row + col) * step),
+    
+    // Whole rows from top to bottom, or bottom to top with `reverse`
+    rows: (rows, cols, { step = 80, reverse = false } = {}) => mapCells(rows, cols, row => (reverse ? rows - 1 - row : row) * step),
+    
+    // Whole columns from left to right, or right to left with `reverse`
+    columns: (rows, cols, { step = 80, reverse = false } = {}) => mapCells(rows, cols, (row, col) => (reverse ? cols - 1 - col : col) * step),
+    
+    // Clockwise from the top left corner to the center, or back out with `reverse`
+    spiral: (rows, cols, { step = 25, reverse = false } = {}) => {
+        const order = [];
+        let top = 0;
+        let bottom = rows - 1;
+        let left = 0;
+        let right = cols - 1;
+        
+        while (top <= bottom && left <= right) {
+            for (let col = left; col <= right; col++) order.push([top, col]);
+            for (let row = top + 1; row <= bottom; row++) order.push([row, right]);
+            if (top < bottom) {
+                for (let col = right - 1; col >= left; col--) order.push([bottom, col]);
+            }
+            if (left < right) {
+                for (let row = bottom - 1; row > top; row--) order.push([row, left]);
+            }
+            top++;
+            bottom--;
+            left++;
+            right--;
+        }
+        
+        return order.map(([row, col], index) => ({ row, col, at: (reverse ? order.length - 1 - index : index) * step }));
+    },
+    
+    // Rings spreading from `origin` (the center by default), `step` milliseconds per cell of distance
+    ripple: (rows, cols, { step = 60, origin = { row: (rows - 1) / 2, col: (cols - 1) / 2 } } = {}) => {
+        return mapCells(rows, cols, (row, col) => Math.round(Math.hypot(row - origin.row, col - origin.col) * step));
+    },
+    
+    // Every cell at a random moment within `duration`, the same each time for a given `seed`
+    dissolve: (rows, cols, { duration = 1500, seed } = {}) => {
+        const random = createRandom(seed !== undefined ? seed : Math.floor(Math.random() * 4294967296));
+        const order = shuffle([...Array(rows * cols).keys()], random);
+        const step = order.length > 1 ? duration / (order.length - 1) : 0;
+        
+        return order.map((index, position) => ({
+            row: Math.floor(index / cols),
+            col: index % cols,
+            at: Math.round(position * step)
+        }));
+    }
+};
+
+/**
+ * Adds a flip pattern that sequences can play by name
+ * @param {string} name - The pattern name
+ * @param {Function} builder - Called with `(rows, cols, options)`, returns `{row, col, at}` keyframes
+ */
+function registerFlipGridPattern(name, builder) {
+    flipGridPatterns[name] = builder;
+}
+
+/**
+ * Packs a list of flipped flags into a compact URL-safe base64 string, one bit per cell
+ * @param {boolean[]} flags - The flipped state of each cell in row-major order
+ * @return {string} The encoded state
+ */
+function encodeFlippedState(flags) {
+    const bytes = new Uint8Array(Math.ceil(flags.length / 8));
+    flags.forEach((flag, index) => {
+        if (flag) {
+            bytes[index >> 3] |= 1 << (index & 7);
+        }
+    });
+    
+    return btoa(String.fromCharCode(...bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * Unpacks a string made by `encodeFlippedState`
+ * @param {string} encoded - The encoded state
+ * @param {number} length - The number of cells
+ * @return {boolean[]|null} The flipped flags, or null when the string is malformed or too short
+ */
+function decodeFlippedState(encoded, length) {
+    let binary;
+    try {
+        binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    } catch (error) {
+        return null;
+    }
+    if (binary.length < Math.ceil(length / 8)) {
+        return null;
+    }
+    
+    const flags = [];
+    for (let index = 0; index < length; index++) {
+        flags.push((binary.charCodeAt(index >> 3) & (1 << (index & 7))) !== 0);
+    }
+    return flags;
+}
+
+/**
+ * Creates a pooled particle engine drawing to a canvas.
+ * Particles are recycled from a fixed-capacity pool instead of being allocated per effect,
+ * and a single requestAnimationFrame loop updates and draws them together with any running
+ * animations such as the shockwave. The loop stops by itself when there is nothing left to draw.
+ * Coordinates are in CSS pixels relative to the canvas.
+ * @param {CanvasRenderingContext2D} ctx - The context to draw to
+ * @param {Object} [options] - Engine options
+ * @param {number} [options.capacity=1500] - The particle budget; spawns beyond it are dropped
+ * @param {Function} [options.requestFrame] - Schedules the next frame, defaults to `requestAnimationFrame`
+ * @return {Object} The engine with `spawn`, `addAnimation`, `setBlurGlow`, `remap`, `clear` and
+ * `getActiveCount` methods
+ */
+function createParticleEngine(ctx, options = {}) {
+    const capacity = options.capacity || 1500;
+    const requestFrame = options.requestFrame || (callback => requestAnimationFrame(callback));
+    
+    // Preallocated pool; the first `activeCount` entries are live
+    const pool = [];
+    for (let i = 0; i < capacity; i++) {
+        pool.push({});
+    }
+    let activeCount = 0;
+    
+    // Running animations, each a function returning false once it is finished
+    const animations = [];
+    
+    let running = false;
+    let lastTime = 0;
+    let blurGlow = true;
+    
+    // Defaults for every particle property, so recycled particles never keep stale values
+    const particleDefaults = {
+        kind: 'dot',          // dot, smoke, glow or ring
+        x: 0,
+        y: 0,
+        speedX: 0,            // Pixels per 60fps frame
+        speedY: 0,
+        gravity: 0,           // Added to speedY per 60fps frame
+        friction: 1,          // Speed multiplier per 60fps frame
+        tx: 0,                // Eased offset reached at the end of life
+        ty: 0,
+        size: 4,
+        startScale: 1,
+        endScale: 1,
+        age: 0,
+        life: 1000,           // Milliseconds
+        hue: 260,
+        saturation: 80,
+        lightness: 60,
+        alpha: 1,
+        halo: false,          // Cheap soft halo drawn under dots
+        glow: false,          // Blurred glow, only drawn while blur glow is enabled
+        blink: 0,             // Blink period in milliseconds, 0 for none
+        color: ''
+    };
+    
+    /**
+     * Adds a particle to the pool
+     * @param {Object} props - Particle properties overriding the defaults
+     * @return {boolean} Whether the particle fit in the budget
+     */
+    function spawn(props) {
+        if (activeCount >= capacity) {
+            return false;
+        }
+        
+        const p = Object.assign(pool[activeCount], particleDefaults, props);
+        p.color = `hsl(${p.hue}, ${p.saturation}%, ${p.lightness}%)`;
+        activeCount++;
+        start();
+        return true;
+    }
+    
+    /**
+     * Adds an animation driven by the shared loop
+     * @param {Function} step - Called with the context and the elapsed milliseconds, returns false when done
+     */
+    function addAnimation(step) {
+        animations.push(step);
+        start();
+    }
+    
+    /**
+     * Enables or disables the blurred glow of glowing particles
+     * @param {boolean} enabled - Whether to draw the glow
+     */
+    function setBlurGlow(enabled) {
+        blurGlow = enabled;
+    }
+    
+    /**
+     * Stretches the live particles to a resized canvas, keeping them at the same relative place
+     * @param {number} scaleX - The new width divided by the old one
+     * @param {number} scaleY - The new height divided by the old one
+     */
+    function remap(scaleX, scaleY) {
+        for (let i = 0; i < activeCount; i++) {
+            const p = pool[i];
+            p.x *= scaleX;
+            p.y *= scaleY;
+            p.tx *= scaleX;
+            p.ty *= scaleY;
+            p.speedX *= scaleX;
+            p.speedY *= scaleY;
+        }
+    }
+    
+    /**
+     * Drops every particle and animation and clears the canvas
+     */
+    function clear() {
+        activeCount = 0;
+        animations.length = 0;
+        clearCanvas();
+    }
+    
+    /**
+     * Returns the number of live particles
+     * @return {number} The count
+     */
+    function getActiveCount() {
+        return activeCount;
+    }
+    
+    /**
+     * Starts the loop if it is not already running
+     */
+    function start() {
+        if (!running) {
+            running = true;
+            lastTime = 0;
+            requestFrame(tick);
+        }
+    }
+    
+    /**
+     * Clears the whole canvas regardless of the current transform
+     */
+    function clearCanvas() {
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.restore();
+    }
+    
+    /**
+     * Updates and draws one frame
+     * @param {number} time - The frame timestamp
+     */
+    function tick(time) {
+        // Cap the step so a backgrounded tab does not make particles jump
+        const elapsed = lastTime ? Math.min(time - lastTime, 50) : 16.67;
+        lastTime = time;
+        
+        clearCanvas();
+        
+        for (let i = activeCount - 1; i >= 0; i--) {
+            const p = pool[i];
+            p.age += elapsed;
+            
+            if (p.age >= p.life) {
+                // Swap the dead particle with the last live one instead of splicing
+                activeCount--;
+                pool[i] = pool[activeCount];
+                pool[activeCount] = p;
+                continue;
+            }
+            
+            updateParticle(p, elapsed / 16.67);
+            drawParticle(p);
+        }
+        
+        for (let i = animations.length - 1; i >= 0; i--) {
+            if (animations[i](ctx, elapsed) === false) {
+                animations.splice(i, 1);
+            }
+        }
+        
+        ctx.globalAlpha = 1;
+        
+        // Continue while anything is left to draw
+        if (activeCount > 0 || animations.length > 0) {
+            requestFrame(tick);
+        } else {
+            running = false;
+        }
+    }
+    
+    /**
+     * Applies speed, gravity and friction
+     * @param {Object} p - The particle
+     * @param {number} frames - The elapsed time in 60fps frames
+     */
+    function updateParticle(p, frames) {
+        p.x += p.speedX * frames;
+        p.y += p.speedY * frames;
+        p.speedY += p.gravity * frames;
+        
+        if (p.friction !== 1) {
+            const damping = Math.pow(p.friction, frames);
+            p.speedX *= damping;
+            p.speedY *= damping;
+        }
+    }
+    
+    /**
+     * Draws a particle according to its kind
+     * @param {Object} p - The particle
+     */
+    function drawParticle(p) {
+        const progress = p.age / p.life;
+        const eased = 1 - Math.pow(1 - progress, 3); // Ease out
+        const x = p.x + p.tx * eased;
+        const y = p.y + p.ty * eased;
+        const radius = Math.max(0, p.size * (p.startScale + (p.endScale - p.startScale) * eased));
+        let opacity = p.alpha * (1 - progress);
+        
+        if (p.blink) {
+            opacity *= 0.5 - 0.5 * Math.cos((p.age / p.blink) * Math.PI * 2);
+        }
+        
+        switch (p.kind) {
+            case 'smoke': {
+                const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+                gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
+                gradient.addColorStop(0.3, `hsla(${p.hue}, 70%, 50%, 0.5)`);
+                gradient.addColorStop(0.7, `hsla(${p.hue}, 70%, 30%, 0.2)`);
+                gradient.addColorStop(1, 'transparent');
+                ctx.globalAlpha = opacity;
+                ctx.fillStyle = gradient;
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            }
+            case 'glow': {
+                const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+                gradient.addColorStop(0, `hsla(${p.hue}, ${p.saturation}%, ${p.lightness}%, 0.7)`);
+                gradient.addColorStop(1, `hsla(${p.hue}, ${p.saturation}%, ${p.lightness}%, 0)`);
+                ctx.globalAlpha = opacity;
+                ctx.fillStyle = gradient;
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            }
+            case 'ring':
+                ctx.globalAlpha = opacity;
+                ctx.strokeStyle = p.color;
+                ctx.lineWidth = Math.max(1, 6 * (1 - eased));
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+                ctx.stroke();
+                break;
+            default:
+                // Soft halo standing in for the old box-shadow glow
+                if (p.halo) {
+                    ctx.globalAlpha = opacity * 0.35;
+                    ctx.fillStyle = p.color;
+                    ctx.beginPath();
+                    ctx.arc(x, y, radius * 2.5, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+                
+                ctx.globalAlpha = opacity;
+                ctx.fillStyle = p.color;
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+                ctx.fill();
+                
+                // Add glow effect for special particles
+                if (p.glow && blurGlow) {
+                    ctx.save();
+                    ctx.filter = `blur(${p.size * 2}px)`;
+                    ctx.globalAlpha = opacity * 0.5;
+                    ctx.beginPath();
+                    ctx.arc(x, y, radius * 2, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.restore();
+                }
+        }
+    }
+    
+    return {
+        spawn,
+        addAnimation,
+        setBlurGlow,
+        remap,
+        clear,
+        getActiveCount
+    };
+}
+
+/**
+ * Keeps a canvas covering its container at the screen's pixel density.
+ * The canvas is resized whenever the container is, whatever the cause, and whenever the
+ * device pixel ratio changes, such as when the window moves to a screen with another density.
+ * Drawing is always in CSS pixels relative to the container: the context's transform is set
+ * to the pixel ratio rather than scaled, so it never compounds.
+ * @param {HTMLElement} container - The element the canvas covers
+ * @param {HTMLCanvasElement} canvas - The canvas
+ * @param {Function} [onResize] - Called with the old and the new `{width, height}` when the container resizes
+ * @return {Object} The viewport with its current `width`, `height` and `dpr`, and the
+ * `toLocalPoint`, `update` and `destroy` methods
+ */
+function createCanvasViewport(container, canvas, onResize) {
     const ctx = canvas.getContext('2d');
+    const resizeObserver = new ResizeObserver(() => update());
+    let pixelRatioQuery = null;
     
-    // Set canvas size to match container
-    function resizeCanvas() {
-        const container = document.querySelector('.container');
+    const viewport = {
+        width: 0,
+        height: 0,
+        dpr: 0,
+        toLocalPoint,
+        update,
+        destroy
+    };
+    
+    /**
+     * Measures the container and resizes the canvas if its size or the pixel ratio changed
+     */
+    function update() {
         const rect = container.getBoundingClientRect();
-        canvas.width = rect.width;
-        canvas.height = rect.height;
-        
-        // Set device pixel ratio for crisp rendering
         const dpr = window.devicePixelRatio || 1;
-        canvas.width = rect.width * dpr;
-        canvas.height = rect.height * dpr;
-        ctx.scale(dpr, dpr);
+        const previous = { width: viewport.width, height: viewport.height };
+        const resized = rect.width !== previous.width || rect.height !== previous.height;
+        if (!resized && dpr === viewport.dpr) {
+            return;
+        }
+        
+        viewport.width = rect.width;
+        viewport.height = rect.height;
+        viewport.dpr = dpr;
+        
+        // Setting the size resets the context, the transform included
+        canvas.width = Math.round(rect.width * dpr);
+        canvas.height = Math.round(rect.height * dpr);
         canvas.style.width = `${rect.width}px`;
         canvas.style.height = `${rect.height}px`;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        
+        if (resized && previous.width && previous.height && onResize) {
+            onResize(previous, { width: rect.width, height: rect.height });
+        }
     }
     
-    // Call resize on load and window resize
-    resizeCanvas();
-    window.addEventListener('resize', resizeCanvas);
+    /**
+     * Watches for the pixel ratio to change from its current value
+     */
+    function watchPixelRatio() {
+        // A query for the current ratio stops matching once the ratio changes
+        pixelRatioQuery = window.matchMedia(`(resolution: ${viewport.dpr}dppx)`);
+        pixelRatioQuery.addEventListener('change', handlePixelRatioChange);
+    }
     
-    // Canvas particle system
-    const canvasParticles = [];
+    /**
+     * Resizes the canvas for the new pixel ratio and watches for the next change
+     */
+    function handlePixelRatioChange() {
+        pixelRatioQuery.removeEventListener('change', handlePixelRatioChange);
+        update();
+        watchPixelRatio();
+    }
     
-    // Create a separate container for DOM particles to improve performance
-    const particlesContainer = document.createElement('div');
-    particlesContainer.classList.add('particles-container');
-    document.querySelector('.container').appendChild(particlesContainer);
+    /**
+     * Converts viewport coordinates, such as those of a pointer event, to container coordinates.
+     * The container is measured at the time of the call, so scrolling never offsets the point.
+     * @param {number} x - The viewport x-coordinate
+     * @param {number} y - The viewport y-coordinate
+     * @return {{x: number, y: number}} The coordinates in CSS pixels relative to the container
+     */
+    function toLocalPoint(x, y) {
+        const rect = container.getBoundingClientRect();
+        return { x: x - rect.left, y: y - rect.top };
+    }
     
     /**
-     * Initialize the grid and create all cells
+     * Stops watching the container and the pixel ratio
      */
-    function initializeGrid() {
-        // Generate grid cells
-        for (let i = 0; i < gridSize * gridSize; i++) {
-            const cell = document.createElement('div');
-            cell.classList.add('cell');
+    function destroy() {
+        resizeObserver.disconnect();
+        pixelRatioQuery.removeEventListener('change', handlePixelRatioChange);
+    }
+    
+    update();
+    watchPixelRatio();
+    resizeObserver.observe(container);
+    
+    return viewport;
+}
+
+// Effects by name, see `registerFlipGridEffect`
+const flipGridEffects = {};
+
+/**
+ * Adds an effect that grids can run on flip, unflip or completion.
+ * The effect is called with an effect context and its parameters (the defaults merged with those
+ * of the effect config). The context holds the event (`flip`, `unflip` or `complete`), the position
+ * `x` / `y` in CSS pixels of the canvas (following the grid when it resizes), the cell's `row`, `col`,
+ * its `position` along the grid's diagonal from 0 to 1 and theme `hue` at that position (the middle of
+ * the grid for completion), the grid `width` and `height`, `sizeScale` (the grid's size relative to a
+ * 600px grid), the `theme`, the effect `profile`, the `canvas`, the `layer` element for DOM effects
+ * (removed when the completion celebration ends), the grid's `sound` layer (see `createSoundLayer`),
+ * and the helpers `spawn` and `addAnimation` (see
+ * `createParticleEngine`), `stagger`, `schedule`, `scaledCount`, `getThemeHue`, `random`,
+ * `randomInRange` and `run(name, params, overrides)` to run another effect.
+ * Effects should scale their particle counts with `scaledCount` and distances with `sizeScale`;
+ * under the `none` profile only the effects registered as sounds run. Animations, timeouts and
+ * stoppable sounds made through the context stop when the celebration they belong to ends.
+ * Drawing random numbers from `fx.random` instead of `Math.random` keeps recorded sessions replayable.
+ * @param {string} name - The effect name
+ * @param {Function} effect - Called with `(fx, params)`
+ * @param {Object} [defaults] - Default parameters
+ * @param {Object} [settings] - Effect settings
+ * @param {boolean} [settings.sound=false] - Whether the effect only plays sounds, which the effect
+ * profile does not turn off; the sound layer's volume and mute control them instead
+ */
+function registerFlipGridEffect(name, effect, defaults = {}, settings = {}) {
+    flipGridEffects[name] = { effect, defaults, sound: Boolean(settings.sound) };
+}
+
+// Effects run on each event when a grid has no effect config of its own
+const defaultEffectConfig = {
+    flip: ['particles', 'smoke', 'glow', 'sparkles', 'ripples', 'fluid', 'tone', 'shimmer'],
+    unflip: ['tone'],
+    complete: ['burst', 'floaters', 'vortex', 'shockwave', 'chord']
+};
+
+/**
+ * Spawns particles shooting out from a point and shrinking away
+ * @param {Object} fx - The effect context
+ * @param {number} x - The x-coordinate of the effect center
+ * @param {number} y - The y-coordinate of the effect center
+ * @param {number} count - The number of particles to create
+ * @param {number} hueBase - The base hue value for the particles
+ */
+function spawnParticles(fx, x, y, count, hueBase) {
+    for (let i = 0; i < count; i++) {
+        // Random direction
+        const angle = fx.random() * Math.PI * 2;
+        const distance = fx.random() * 100 + 50;
+        
+        fx.spawn({
+            x,
+            y,
+            tx: Math.cos(angle) * distance,
+            ty: Math.sin(angle) * distance,
             
-            // Calculate row and column for position-based effects
-            const row = Math.floor(i / gridSize);
-            const col = i % gridSize;
+            // Radius between 1px and 3px, shrinking to nothing
+            size: fx.random() * 2 + 1,
+            startScale: 1,
+            endScale: 0,
             
-            // Add custom properties for position-aware animations
-            cell.style.setProperty('--row', row);
-            cell.style.setProperty('--col', col);
+            // Random color variation based on position
+            hue: hueBase + fx.random() * 30 - 15,
+            saturation: fx.randomInRange(fx.theme.particles.saturation),
+            lightness: fx.randomInRange(fx.theme.particles.lightness),
+            halo: true,
             
-            // Set background position to create a unified gradient effect
-            // Each cell shows only a portion of the full gradient
-            const bgPosX = (col / (gridSize - 1)) * 100;
-            const bgPosY = (row / (gridSize - 1)) * 100;
+            // Lifetime between 0.5s and 1.5s
+            life: (fx.random() + 0.5) * 1000
+        });
+    }
+}
+
+/**
+ * Spawns smoke puffs drifting upward
+ * @param {Object} fx - The effect context
+ * @param {number} x - The x-coordinate of the effect center
+ * @param {number} y - The y-coordinate of the effect center
+ * @param {number} count - The number of smoke particles to create
+ * @param {number} hueBase - The base hue value for the smoke particles
+ */
+function spawnSmoke(fx, x, y, count, hueBase) {
+    for (let i = 0; i < count; i++) {
+        // Random direction with more upward bias
+        const angle = fx.random() * Math.PI - Math.PI / 2; // -90° to 90°
+        const distance = fx.random() * 100 + 50;
+        
+        fx.spawn({
+            kind: 'smoke',
+            x,
+            y,
+            tx: Math.cos(angle) * distance,
+            ty: Math.sin(angle) * distance - 50, // Upward bias
             
-            // Set the background position for each cell to create a unified gradient
-            cell.style.setProperty('--bg-pos-x', `${bgPosX}%`);
-            cell.style.setProperty('--bg-pos-y', `${bgPosY}%`);
+            // Radius between 10px and 20px, growing as it rises
+            size: fx.random() * 10 + 10,
+            startScale: 0.2,
+            endScale: 2,
+            alpha: 0.8,
             
-            // Calculate the background size to make the gradient span the entire grid
-            cell.style.setProperty('--bg-size-x', `${gridSize * 100}%`);
-            cell.style.setProperty('--bg-size-y', `${gridSize * 100}%`);
+            // Color variation based on position
+            hue: hueBase + fx.random() * 20 - 10,
             
-            // Set the cell's before element to show the proper part of the gradient
-            cell.style.setProperty('background-position', `${bgPosX}% ${bgPosY}%`);
-            cell.style.setProperty('background-size', `${gridSize * 100}% ${gridSize * 100}%`);
+            // Lifetime between 1s and 2s
+            life: (fx.random() + 1) * 1000
+        });
+    }
+}
+
+/**
+ * Spawns soft glows swelling out from a point
+ * @param {Object} fx - The effect context
+ * @param {number} x - The x-coordinate of the effect center
+ * @param {number} y - The y-coordinate of the effect center
+ * @param {number} count - The number of glow effects to create
+ * @param {number} hueBase - The base hue value for the glow effects
+ */
+function spawnGlows(fx, x, y, count, hueBase) {
+    for (let i = 0; i < count; i++) {
+        fx.spawn({
+            kind: 'glow',
+            x,
+            y,
             
-            // Add initial animation delay based on position for diagonal wave effect
-            const initialDelay = (row + col) * 50;
-            cell.style.animationDelay = `${initialDelay}ms`;
+            // Radius between 15px and 45px, swelling out
+            size: fx.random() * 30 + 15,
+            startScale: 0.2,
+            endScale: 2,
+            alpha: 0.8,
             
-            // Create a unique cell ID for tracking
-            const cellId = `cell-${row}-${col}`;
-            cell.id = cellId;
+            // Color variation based on position
+            hue: hueBase + fx.random() * 20 - 10,
+            saturation: 80,
+            lightness: 60,
             
-            // Add click event listener
-            cell.addEventListener('click', (event) => handleCellClick(event, cell, row, col));
+            // Lifetime between 0.7s and 1.2s
+            life: (fx.random() * 0.5 + 0.7) * 1000
+        });
+    }
+}
+
+/**
+ * Spawns twinkling sparkles around a point
+ * @param {Object} fx - The effect context
+ * @param {number} x - The x-coordinate of the effect center
+ * @param {number} y - The y-coordinate of the effect center
+ * @param {number} count - The number of sparkle particles to create
+ * @param {number} hueBase - The base hue value for the sparkle particles
+ */
+function spawnSparkles(fx, x, y, count, hueBase) {
+    for (let i = 0; i < count; i++) {
+        // Random position around the clicked point
+        const radius = fx.random() * 50;
+        const angle = fx.random() * Math.PI * 2;
+        
+        fx.spawn({
+            x: x + Math.cos(angle) * radius,
+            y: y + Math.sin(angle) * radius,
             
-            cells.push(cell);
-            gridContainer.appendChild(cell);
+            // Very small size for sparkles
+            size: fx.random() + 0.5,
+            
+            // Bright color
+            hue: hueBase + fx.random() * 30 - 15,
+            saturation: 100,
+            lightness: 80,
+            halo: true,
+            
+            // Twinkle every 0.3s to 0.8s for 0.5s to 1.5s
+            blink: (fx.random() * 0.5 + 0.3) * 1000,
+            life: fx.random() * 1000 + 500
+        });
+    }
+}
+
+/**
+ * Spawns rings spreading out from a point
+ * @param {Object} fx - The effect context
+ * @param {number} x - The x-coordinate of the effect center
+ * @param {number} y - The y-coordinate of the effect center
+ * @param {number} count - The number of ripple effects to create
+ * @param {number} hueBase - The base hue value for the ripple effects
+ */
+function spawnRipples(fx, x, y, count, hueBase) {
+    for (let i = 0; i < count; i++) {
+        fx.spawn({
+            kind: 'ring',
+            x,
+            y,
+            size: 10,
+            startScale: 0.1,
+            endScale: 2,
+            alpha: 0.7,
+            
+            // Color based on position
+            hue: hueBase + fx.random() * 20 - 10,
+            saturation: 80,
+            lightness: 60,
+            
+            // Lifetime between 0.8s and 1.3s
+            life: (fx.random() * 0.5 + 0.8) * 1000
+        });
+    }
+}
+
+// Click effects, `count` is scaled by the effect profile
+registerFlipGridEffect('particles', (fx, { count }) => {
+    spawnParticles(fx, fx.x, fx.y, fx.scaledCount(count), fx.hue);
+}, { count: 25 });
+registerFlipGridEffect('smoke', (fx, { count }) => {
+    spawnSmoke(fx, fx.x, fx.y, fx.scaledCount(count), fx.hue);
+}, { count: 8 });
+registerFlipGridEffect('glow', (fx, { count }) => {
+    spawnGlows(fx, fx.x, fx.y, fx.scaledCount(count), fx.hue);
+}, { count: 3 });
+registerFlipGridEffect('sparkles', (fx, { count }) => {
+    spawnSparkles(fx, fx.x, fx.y, fx.scaledCount(count), fx.hue);
+}, { count: 15 });
+registerFlipGridEffect('ripples', (fx, { count }) => {
+    spawnRipples(fx, fx.x, fx.y, fx.scaledCount(count), fx.hue);
+}, { count: 2 });
+
+// Fluid particles drifting under gravity
+registerFlipGridEffect('fluid', (fx, { count }) => {
+    for (let i = 0; i < fx.scaledCount(count); i++) {
+        fx.spawn({
+            x: fx.x,
+            y: fx.y,
+            size: fx.random() * 5 + 2,
+            speedX: (fx.random() - 0.5) * 3,
+            speedY: (fx.random() - 0.5) * 3,
+            gravity: 0.03,
+            friction: 0.99,
+            life: (fx.random() * 100 + 50) * 16.67,
+            
+            // Color variation based on position
+            hue: fx.hue + fx.random() * 30 - 15,
+            saturation: fx.randomInRange(fx.theme.particles.saturation),
+            lightness: fx.randomInRange(fx.theme.particles.lightness),
+            alpha: fx.random() * 0.5 + 0.5,
+            glow: fx.random() > 0.7 // 30% chance of glowing particles
+        });
+    }
+}, { count: 30 });
+
+// Completion burst of particles around the center, `count` bursts `interval` ms apart
+registerFlipGridEffect('burst', (fx, { count, interval }) => {
+    fx.stagger(fx.scaledCount(count), interval, i => {
+        const angle = fx.random() * Math.PI * 2;
+        const distance = (fx.random() * 150 + 50) * fx.sizeScale;
+        const x = fx.x + Math.cos(angle) * (distance / 4);
+        const y = fx.y + Math.sin(angle) * (distance / 4);
+        
+        // Create particle with a random hue from the theme
+        const hue = fx.getThemeHue(fx.random());
+        spawnParticles(fx, x, y, 3, hue);
+        
+        if (i % 10 === 0) {
+            spawnGlows(fx, x, y, 1, hue);
+        }
+        
+        if (i % 20 === 0) {
+            spawnRipples(fx, x, y, 1, hue);
+        }
+    }); // Stagger the creation for a more dynamic effect
+}, { count: 100, interval: 20 });
+
+// Spiral of glowing particles running through the theme's colors
+registerFlipGridEffect('vortex', (fx, { count: baseCount, interval }) => {
+    const count = fx.scaledCount(baseCount);
+    fx.stagger(count, interval, i => {
+        const angle = (i / count) * Math.PI * 10; // Spiral pattern
+        const distance = i * 0.5 * fx.sizeScale;
+        
+        // Create canvas particles with special properties
+        fx.spawn({
+            x: fx.x + Math.cos(angle) * distance,
+            y: fx.y + Math.sin(angle) * distance,
+            size: fx.random() * 4 + 2,
+            speedX: Math.cos(angle + Math.PI/2) * 2,
+            speedY: Math.sin(angle + Math.PI/2) * 2,
+            life: (fx.random() * 100 + 100) * 16.67,
+            hue: fx.getThemeHue(i / count), // Gradual color change
+            saturation: 90,
+            lightness: 60,
+            alpha: 0.8,
+            glow: true
+        });
+    });
+}, { count: 200, interval: 10 });
+
+// Rings sweeping across the whole grid after `delay` ms, skipped by the lighter profiles
+registerFlipGridEffect('shockwave', (fx, { delay, speed }) => {
+    if (!fx.profile.shockwave) {
+        return;
+    }
+    
+    fx.schedule(() => {
+        let radius = 10;
+        let opacity = 1;
+        
+        // Drawn by the particle engine's loop, one step per frame
+        fx.addAnimation((ctx, elapsed) => {
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(fx.x, fx.y, radius, 0, Math.PI * 2);
+            ctx.lineWidth = 15;
+            ctx.strokeStyle = `hsla(${fx.getThemeHue(1 / 3)}, 80%, 50%, ${opacity})`;
+            ctx.stroke();
+            
+            // Create trailing shockwaves
+            ctx.beginPath();
+            ctx.arc(fx.x, fx.y, radius * 0.8, 0, Math.PI * 2);
+            ctx.lineWidth = 8;
+            ctx.strokeStyle = `hsla(${fx.getThemeHue(2 / 3)}, 90%, 60%, ${opacity * 0.7})`;
+            ctx.stroke();
+            
+            ctx.beginPath();
+            ctx.arc(fx.x, fx.y, radius * 0.6, 0, Math.PI * 2);
+            ctx.lineWidth = 4;
+            ctx.strokeStyle = `hsla(${fx.getThemeHue(1)}, 100%, 70%, ${opacity * 0.5})`;
+            ctx.stroke();
+            ctx.restore();
+            
+            // Update for next frame
+            // Fades out as it reaches the far side of the grid, in CSS pixels like the drawing
+            radius += speed * (elapsed / 16.67);
+            opacity = 1 - (radius / Math.max(fx.width, fx.height));
+            
+            return opacity > 0;
+        });
+    }, delay);
+}, { delay: 2000, speed: 5 });
+
+// Decorative DOM elements floating over the grid, skipped by the lighter profiles
+registerFlipGridEffect('floaters', (fx, { count }) => {
+    if (!fx.profile.floaters) {
+        return;
+    }
+    
+    // Fewer and smaller floaters on smaller grids
+    const total = Math.max(1, Math.round(count * Math.min(fx.sizeScale, 1)));
+    for (let i = 0; i < total; i++) {
+        const floater = document.createElement('div');
+        floater.style.position = 'absolute';
+        floater.style.pointerEvents = 'none';
+        
+        // Random size
+        const size = (fx.random() * 20 + 10) * fx.sizeScale;
+        floater.style.width = `${size}px`;
+        floater.style.height = `${size}px`;
+        
+        // Random position within container
+        const x = fx.random() * fx.width;
+        const y = fx.random() * fx.height;
+        floater.style.left = `${x}px`;
+        floater.style.top = `${y}px`;
+        
+        // Random color in our theme
+        const hue = fx.getThemeHue(fx.random());
+        floater.style.backgroundColor = `hsla(${hue}, 80%, 60%, 0.2)`;
+        floater.style.borderRadius = '50%';
+        floater.style.boxShadow = `0 0 ${size}px ${size/2}px hsla(${hue}, 80%, 60%, 0.3)`;
+        
+        // Random float animation
+        const floatY = (fx.random() - 0.5) * 50 * fx.sizeScale;
+        const floatR = (fx.random() - 0.5) * 180;
+        floater.style.setProperty('--float-y', `${floatY}px`);
+        floater.style.setProperty('--float-r', `${floatR}deg`);
+        
+        const duration = fx.random() * 3 + 2;
+        floater.style.animation = `float ${duration}s ease-in-out infinite`;
+        
+        // Add to container
+        fx.layer.appendChild(floater);
+    }
+}, { count: 15 });
+
+// Synthesized sounds by name, see `registerFlipGridSound`
+const flipGridSounds = {};
+
+// Audio context shared by every grid on the page, created on first use
+let flipGridAudioContext = null;
+
+// White noise for the swish of turning cells, made once
+let flipGridNoiseBuffer = null;
+
+/**
+ * Returns the page's audio context, creating it on first use
+ * @return {AudioContext|null} The context, or null where Web Audio is unavailable
+ */
+function getFlipGridAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!flipGridAudioContext && AudioContextClass) {
+        flipGridAudioContext = new AudioContextClass();
+    }
+    return flipGridAudioContext;
+}
+
+/**
+ * Adds a synthesized sound that effects can play with `fx.sound.play(name, params)`.
+ * A sample loaded under the same name with `loadSoundPack` plays in its place.
+ * @param {string} name - The sound name
+ * @param {Function} synth - Called with `(audio, destination, params)`: the audio context,
+ * the node to connect to and the parameters given to `play`; it may return `{stop}` to let the
+ * sound be cut short
+ */
+function registerFlipGridSound(name, synth) {
+    flipGridSounds[name] = synth;
+}
+
+/**
+ * Creates the sound layer of a grid: a master volume over the shared audio context, playing the
+ * samples of a loaded pack or else the registered synthesized sounds.
+ * Nothing plays while muted or where Web Audio is unavailable.
+ * @param {Object} [settings] - Layer settings
+ * @param {number} [settings.volume=0.5] - The master volume, from 0 to 1
+ * @param {boolean} [settings.muted=false] - Whether the layer starts muted
+ * @param {Function} [settings.onError] - Called with the sound name and the error when a synthesized sound fails
+ * @return {Object} The layer with `play`, `setVolume`, `getVolume`, `setMuted`, `isMuted`, `loadPack` and `destroy` methods
+ */
+function createSoundLayer(settings = {}) {
+    let volume = settings.volume !== undefined ? settings.volume : 0.5;
+    let muted = Boolean(settings.muted);
+    let master = null;
+    const samples = new Map();
+    
+    /**
+     * Returns the layer's master gain, connecting it on first use
+     * @return {GainNode|null} The master gain, or null without Web Audio
+     */
+    function getMaster() {
+        const audio = getFlipGridAudioContext();
+        if (audio && !master) {
+            master = audio.createGain();
+            master.gain.value = muted ? 0 : volume;
+            master.connect(audio.destination);
+        }
+        return master;
+    }
+    
+    /**
+     * Fades the master gain to the current volume, silencing what is playing when muted
+     */
+    function applyGain() {
+        if (master) {
+            master.gain.setTargetAtTime(muted ? 0 : volume, master.context.currentTime, 0.02);
+        }
+    }
+    
+    /**
+     * Plays a sound
+     * @param {string} name - The sound name
+     * @param {Object} [params] - Parameters of the synthesized sound; `rate` is the playback rate of a sample
+     * @return {{stop: Function}|null} Control to cut the sound short, for samples and synthesized sounds
+     * that return one, else null
+     */
+    function play(name, params = {}) {
+        if (muted || volume === 0) {
+            return null;
+        }
+        
+        const destination = getMaster();
+        if (!destination) {
+            return null;
+        }
+        
+        // Browsers keep contexts suspended until the page has been interacted with
+        const audio = destination.context;
+        if (audio.state === 'suspended') {
+            audio.resume();
+        }
+        
+        const sample = samples.get(name);
+        if (sample) {
+            const source = audio.createBufferSource();
+            source.buffer = sample;
+            source.playbackRate.value = params.rate || 1;
+            source.connect(destination);
+            source.start();
+            return { stop: () => source.stop() };
+        }
+        if (flipGridSounds[name]) {
+            try {
+                return flipGridSounds[name](audio, destination, params) || null;
+            } catch (error) {
+                if (settings.onError) {
+                    settings.onError(name, error);
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Sets the master volume
+     * @param {number} value - The volume, from 0 to 1
+     */
+    function setVolume(value) {
+        volume = Math.min(1, Math.max(0, Number(value) || 0));
+        applyGain();
+    }
+    
+    /**
+     * Returns the master volume
+     * @return {number} The volume, from 0 to 1
+     */
+    function getVolume() {
+        return volume;
+    }
+    
+    /**
+     * Mutes or unmutes the layer
+     * @param {boolean} value - Whether to mute
+     */
+    function setMuted(value) {
+        muted = Boolean(value);
+        applyGain();
+    }
+    
+    /**
+     * Returns whether the layer is muted
+     * @return {boolean} Whether it is muted
+     */
+    function isMuted() {
+        return muted;
+    }
+    
+    /**
+     * Loads samples to play instead of the synthesized sounds
+     * @param {Object|FileList|Array<File>} pack - Sources by sound name, or files named after their sound
+     * (`flip.wav` for `flip`), e.g. from a file input; a source is a Blob or File, an ArrayBuffer or a URL
+     * @return {Promise<Array<string>>} The names of the loaded sounds
+     */
+    function loadPack(pack) {
+        const audio = getFlipGridAudioContext();
+        if (!audio) {
+            return Promise.reject(new Error('loadSoundPack: this browser has no Web Audio'));
+        }
+        
+        const entries = typeof pack.length === 'number'
+            ? Array.from(pack, file => [file.name.replace(/\.[^.]*$/, ''), file])
+            : Object.entries(pack);
+        
+        return Promise.all(entries.map(([name, source]) => {
+            let data;
+            if (typeof source === 'string') {
+                data = fetch(source).then(response => {
+                    if (!response.ok) {
+                        throw new Error(`loadSoundPack: cannot load "${source}"`);
+                    }
+                    return response.arrayBuffer();
+                });
+            } else if (source instanceof Blob) {
+                data = source.arrayBuffer();
+            } else {
+                data = Promise.resolve(source);
+            }
+            
+            // Decoding detaches the buffer, so a caller's own buffer is copied first
+            return data
+                .then(buffer => audio.decodeAudioData(buffer.slice(0)))
+                .then(decoded => [name, decoded]);
+        })).then(decoded => {
+            decoded.forEach(([name, buffer]) => samples.set(name, buffer));
+            return decoded.map(([name]) => name);
+        });
+    }
+    
+    /**
+     * Disconnects the layer and drops its samples
+     */
+    function destroy() {
+        if (master) {
+            master.disconnect();
+            master = null;
+        }
+        samples.clear();
+    }
+    
+    return {
+        play,
+        setVolume,
+        getVolume,
+        setMuted,
+        isMuted,
+        loadPack,
+        destroy
+    };
+}
+
+/**
+ * Plays an oscillator note shaped by an attack and an exponential release
+ * @param {AudioContext} audio - The audio context
+ * @param {AudioNode} destination - The node to connect to
+ * @param {Object} note - The note
+ * @param {number} note.frequency - The pitch in hertz
+ * @param {string} [note.type='sine'] - The oscillator waveform
+ * @param {number} [note.delay=0] - Seconds before the note starts
+ * @param {number} [note.attack=0.005] - Seconds to reach the peak
+ * @param {number} [note.peak=0.2] - The peak gain
+ * @param {number} [note.release=0.3] - Seconds from the peak to silence
+ * @return {OscillatorNode} The oscillator, e.g. to bend its pitch
+ */
+function playNote(audio, destination, note) {
+    const { frequency, type = 'sine', delay = 0, attack = 0.005, peak = 0.2, release = 0.3 } = note;
+    const start = audio.currentTime + delay;
+    const oscillator = audio.createOscillator();
+    const gain = audio.createGain();
+    
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    
+    // Exponential ramps cannot start from zero
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(peak, start + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + attack + release);
+    
+    oscillator.connect(gain);
+    gain.connect(destination);
+    oscillator.start(start);
+    oscillator.stop(start + attack + release + 0.05);
+    return oscillator;
+}
+
+// Turning cell: a short upward chirp over a swish of band-passed noise
+registerFlipGridSound('flip', (audio, destination, { frequency = 440 }) => {
+    const start = audio.currentTime;
+    const chirp = playNote(audio, destination, { frequency, type: 'triangle', peak: 0.3, release: 0.25 });
+    chirp.frequency.exponentialRampToValueAtTime(frequency * 1.5, start + 0.08);
+    
+    if (!flipGridNoiseBuffer) {
+        const random = createRandom('noise');
+        flipGridNoiseBuffer = audio.createBuffer(1, Math.round(audio.sampleRate * 0.2), audio.sampleRate);
+        const data = flipGridNoiseBuffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = random() * 2 - 1;
+        }
+    }
+    
+    const noise = audio.createBufferSource();
+    noise.buffer = flipGridNoiseBuffer;
+    const filter = audio.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = frequency * 4;
+    const gain = audio.createGain();
+    gain.gain.setValueAtTime(0.15, start);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.15);
+    
+    noise.connect(filter);
+    filter.connect(gain);
+    gain.connect(destination);
+    noise.start(start);
+});
+
+// Twinkling high notes, each given as `{frequency, delay}`
+registerFlipGridSound('shimmer', (audio, destination, { notes = [] }) => {
+    notes.forEach(({ frequency, delay }) => {
+        playNote(audio, destination, { frequency, delay, attack: 0.01, peak: 0.05, release: 0.4 });
+    });
+});
+
+// Chord swelling for `swell` seconds, then dying away over `release` seconds, or fading out
+// quickly when stopped
+registerFlipGridSound('chord', (audio, destination, { frequencies = [], swell = 2, release = 3 }) => {
+    const bus = audio.createGain();
+    bus.connect(destination);
+    
+    frequencies.forEach(frequency => {
+        playNote(audio, bus, { frequency, type: 'triangle', attack: swell, peak: 0.08, release });
+        
+        // A slightly detuned twin thickens each note
+        playNote(audio, bus, { frequency: frequency * 1.003, attack: swell, peak: 0.05, release });
+    });
+    
+    return {
+        stop: () => bus.gain.setTargetAtTime(0, audio.currentTime, 0.1)
+    };
+});
+
+// Flip sound pitched along the grid's diagonal like the cell's hue, a fifth lower for unflips
+registerFlipGridEffect('tone', (fx, { baseFrequency, octaves }) => {
+    const rate = Math.pow(2, fx.position * octaves) * (fx.event === 'unflip' ? 2 / 3 : 1);
+    fx.sound.play('flip', { frequency: baseFrequency * rate, rate });
+}, { baseFrequency: 330, octaves: 1.5 }, { sound: true });
+
+// Shimmer to go with the sparkles; the notes are drawn even when muted so replays stay exact
+registerFlipGridEffect('shimmer', (fx, { count, spread }) => {
+    const notes = [];
+    for (let i = 0; i < count; i++) {
+        notes.push({ frequency: 2000 + fx.random() * 3000, delay: (fx.random() * spread) / 1000 });
+    }
+    fx.sound.play('shimmer', { notes });
+}, { count: 5, spread: 400 }, { sound: true });
+
+// Major chord swelling until the shockwave breaks, at the shockwave's default delay; it fades out
+// with its celebration when that ends early
+registerFlipGridEffect('chord', (fx, { root, swell, release }) => {
+    fx.sound.play('chord', {
+        frequencies: [1, 5 / 4, 3 / 2, 2].map(ratio => root * ratio),
+        swell: swell / 1000,
+        release: release / 1000
+    });
+}, { root: 261.63, swell: 2000, release: 3000 }, { sound: true });
+
+// Cell animations by name, as CSS `animation` values, see `registerFlipAnimation`
+const flipGridAnimations = {
+    'rotate': 'rotate-scale 0.8s forwards',
+    'rotate-reverse': 'rotate-scale 1s reverse forwards',
+    'rotate-alternate': 'rotate-scale 1.2s alternate forwards',
+    'flip-in': 'flip-in 0.7s forwards',
+    'spin-flip': 'spin-out 1s forwards, flip-in 0.5s 1s forwards',
+    'pulse-rotate': 'pulse 0.5s 2 forwards, rotate-scale 1s 1s forwards',
+    'rotate-back': 'rotate-scale 0.8s reverse forwards'
+};
+
+// Animations picked from when flipping, unless a grid chooses its own
+const defaultFlipAnimationSet = ['rotate', 'rotate-reverse', 'rotate-alternate', 'flip-in', 'spin-flip', 'pulse-rotate'];
+
+// Stylesheet holding the keyframes of registered animations, created on first use
+let flipAnimationStyle = null;
+
+/**
+ * Adds a cell animation that grids can flip or unflip with by name
+ * @param {string} name - The animation name
+ * @param {string} animation - The CSS `animation` value, with a finite duration and iteration count
+ * @param {Object} [keyframes] - Keyframes the animation uses, as rule bodies by keyframes name,
+ * e.g. `{wobble: '0% { transform: rotate(0deg); } 100% { transform: rotate(15deg); }'}`
+ */
+function registerFlipAnimation(name, animation, keyframes = {}) {
+    flipGridAnimations[name] = animation;
+    
+    const rules = Object.keys(keyframes).map(keyframesName => `@keyframes ${keyframesName} { ${keyframes[keyframesName]} }`);
+    if (rules.length > 0) {
+        if (!flipAnimationStyle) {
+            flipAnimationStyle = document.createElement('style');
+            document.head.appendChild(flipAnimationStyle);
+        }
+        flipAnimationStyle.textContent += `${rules.join('\n')}\n`;
+    }
+}
+
+/**
+ * Splits a CSS `animation` value into its animations and works out how long each one runs
+ * @param {string} animation - The CSS `animation` value
+ * @return {number[]} The end time of each animation in milliseconds, delay included
+ */
+function getAnimationEndTimes(animation) {
+    return animation.split(',').map(part => {
+        const tokens = part.trim().split(/\s+/);
+        const times = tokens
+            .filter(token => /^-?[\d.]+m?s$/.test(token))
+            .map(token => parseFloat(token) * (token.endsWith('ms') ? 1 : 1000));
+        const iterations = tokens.find(token => /^[\d.]+$/.test(token));
+        
+        // The first time is the duration and the second the delay
+        return (times[1] || 0) + (times[0] || 0) * (iterations ? parseFloat(iterations) : 1);
+    });
+}
+
+/**
+ * Builds the fixed palette GIF frames are mapped to: 6 levels of red and blue and 7 of green,
+ * padded with black to 256 colors
+ * @return {Uint8Array} The palette as RGB triplets
+ */
+function createGifPalette() {
+    const palette = new Uint8Array(256 * 3);
+    let offset = 0;
+    
+    for (let r = 0; r < 6; r++) {
+        for (let g = 0; g < 7; g++) {
+            for (let b = 0; b < 6; b++) {
+                palette[offset++] = Math.round((r * 255) / 5);
+                palette[offset++] = Math.round((g * 255) / 6);
+                palette[offset++] = Math.round((b * 255) / 5);
+            }
+        }
+    }
+    return palette;
+}
+
+/**
+ * Maps RGBA pixels to the nearest colors of the GIF palette, ignoring alpha
+ * @param {Uint8ClampedArray} pixels - The RGBA pixel data of a frame
+ * @return {Uint8Array} One palette index per pixel
+ */
+function quantizeGifFrame(pixels) {
+    const indices = new Uint8Array(pixels.length / 4);
+    
+    for (let i = 0; i < indices.length; i++) {
+        const r = Math.round((pixels[i * 4] * 5) / 255);
+        const g = Math.round((pixels[i * 4 + 1] * 6) / 255);
+        const b = Math.round((pixels[i * 4 + 2] * 5) / 255);
+        indices[i] = r * 42 + g * 6 + b;
+    }
+    return indices;
+}
+
+/**
+ * Compresses palette indices with the variable-width LZW of the GIF format
+ * @param {Uint8Array} indices - The palette index of every pixel
+ * @return {number[]} The compressed bytes, before splitting into sub-blocks
+ */
+function encodeGifLzw(indices) {
+    const clearCode = 256;
+    const endCode = 257;
+    const bytes = [];
+    const table = new Map();
+    let codeSize = 9;
+    let nextCode = 258;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+    
+    emit(clearCode);
+    let prefix = indices[0];
+    
+    for (let i = 1; i < indices.length; i++) {
+        const key = prefix * 256 + indices[i];
+        if (table.has(key)) {
+            prefix = table.get(key);
+            continue;
+        }
+        
+        emit(prefix);
+        
+        // Start over with a fresh table once all 12-bit codes are taken
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table.clear();
+            codeSize = 9;
+            nextCode = 258;
+        } else {
+            if (nextCode >= 1 << codeSize) {
+                codeSize++;
+            }
+            table.set(key, nextCode++);
+        }
+        prefix = indices[i];
+    }
+    
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+        bytes.push(bitBuffer & 0xff);
+    }
+    return bytes;
+}
+
+/**
+ * Encodes the start of a looping animated GIF: the header, the logical screen with its global
+ * color table and the loop extension
+ * @param {number} width - The frame width in pixels
+ * @param {number} height - The frame height in pixels
+ * @return {Uint8Array} The bytes
+ */
+function encodeGifHeader(width, height) {
+    const bytes = [];
+    const writeShort = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+    const writeText = (text) => bytes.push(...[...text].map(character => character.charCodeAt(0)));
+    
+    // Header and logical screen with a global 256 color table
+    writeText('GIF89a');
+    writeShort(width);
+    writeShort(height);
+    bytes.push(0xf7, 0, 0);
+    bytes.push(...createGifPalette());
+    
+    // Loop forever
+    bytes.push(0x21, 0xff, 0x0b);
+    writeText('NETSCAPE2.0');
+    bytes.push(0x03, 0x01, 0, 0, 0);
+    
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Encodes one frame of an animated GIF
+ * @param {number} width - The frame width in pixels
+ * @param {number} height - The frame height in pixels
+ * @param {{indices: Uint8Array, delay: number}} frame - Pixels from `quantizeGifFrame` and how long
+ * the frame shows, in milliseconds
+ * @return {Uint8Array} The bytes
+ */
+function encodeGifFrame(width, height, { indices, delay }) {
+    const bytes = [];
+    const writeShort = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+    
+    // Graphic control extension with the delay in hundredths of a second
+    bytes.push(0x21, 0xf9, 0x04, 0x04);
+    writeShort(Math.max(2, Math.round(delay / 10)));
+    bytes.push(0, 0);
+    
+    // Image descriptor covering the whole frame
+    bytes.push(0x2c);
+    writeShort(0);
+    writeShort(0);
+    writeShort(width);
+    writeShort(height);
+    bytes.push(0);
+    
+    // Image data in sub-blocks of up to 255 bytes
+    const data = encodeGifLzw(indices);
+    bytes.push(8);
+    for (let offset = 0; offset < data.length; offset += 255) {
+        const block = data.slice(offset, offset + 255);
+        bytes.push(block.length, ...block);
+    }
+    bytes.push(0);
+    
+    return Uint8Array.from(bytes);
+}
+
+// Last byte of every GIF file
+const gifTrailer = Uint8Array.of(0x3b);
+
+// Longest GIF export in milliseconds; its frames wait uncompressed until the capture ends
+const maxGifDuration = 10000;
+
+/**
+ * Encodes frames as a looping animated GIF in one go; see `encodeGifHeader` and `encodeGifFrame`
+ * to spread the work over several tasks
+ * @param {number} width - The frame width in pixels
+ * @param {number} height - The frame height in pixels
+ * @param {Array<{indices: Uint8Array, delay: number}>} frames - Pixels from `quantizeGifFrame`
+ * and how long each frame shows, in milliseconds
+ * @return {Uint8Array} The GIF file
+ */
+function encodeGif(width, height, frames) {
+    const parts = [encodeGifHeader(width, height), ...frames.map(frame => encodeGifFrame(width, height, frame)), gifTrailer];
+    const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    
+    let offset = 0;
+    parts.forEach(part => {
+        bytes.set(part, offset);
+        offset += part.length;
+    });
+    return bytes;
+}
+
+/**
+ * Builds a canvas gradient from a CSS `linear-gradient(<angle>deg, <color> <percent>%, ...)` value
+ * @param {CanvasRenderingContext2D} ctx - The context the gradient is for
+ * @param {string} css - The CSS gradient
+ * @param {number} width - The width of the painted area
+ * @param {number} height - The height of the painted area
+ * @return {CanvasGradient|null} The gradient, or null when the value is not in that form
+ */
+function createCanvasGradient(ctx, css, width, height) {
+    const match = /^linear-gradient\(\s*(-?[\d.]+)deg\s*,(.*)\)$/.exec((css || '').trim());
+    if (!match) {
+        return null;
+    }
+    
+    // CSS angles start at the top and run clockwise
+    const angle = (parseFloat(match[1]) * Math.PI) / 180;
+    const dx = Math.sin(angle);
+    const dy = -Math.cos(angle);
+    const length = Math.abs(width * dx) + Math.abs(height * dy);
+    const gradient = ctx.createLinearGradient(
+        width / 2 - (dx * length) / 2,
+        height / 2 - (dy * length) / 2,
+        width / 2 + (dx * length) / 2,
+        height / 2 + (dy * length) / 2
+    );
+    
+    // Split the stops on the commas outside of color functions
+    const stops = [];
+    let depth = 0;
+    let current = '';
+    for (const character of match[2]) {
+        if (character === ',' && depth === 0) {
+            stops.push(current.trim());
+            current = '';
+            continue;
+        }
+        depth += character === '(' ? 1 : character === ')' ? -1 : 0;
+        current += character;
+    }
+    stops.push(current.trim());
+    
+    stops.forEach((stop, index) => {
+        const position = /\s([\d.]+)%$/.exec(stop);
+        const color = position ? stop.slice(0, position.index) : stop;
+        gradient.addColorStop(position ? parseFloat(position[1]) / 100 : index / Math.max(stops.length - 1, 1), color);
+    });
+    return gradient;
+}
+
+/**
+ * Creates a flip grid inside the given container.
+ * The container's `.grid` and `.particle-canvas` children are used when present and created otherwise,
+ * so several grids can run side by side without sharing any state.
+ * @param {HTMLElement} container - The element hosting the grid, its particle canvas and DOM particles
+ * @param {Object} [options] - Grid options
+ * @param {number} [options.rows=9] - The number of rows, overridden by `data-rows` on the grid element
+ * @param {number} [options.cols=9] - The number of columns, overridden by `data-cols` on the grid element
+ * @param {string} [options.idPrefix] - Prefix for cell ids; defaults to none for the first grid on the page
+ * @param {string} [options.effects] - The effect profile name; defaults to `minimal` when the user
+ * prefers reduced motion and `full` otherwise, following changes to that preference
+ * @param {string|Object} [options.theme='nebula'] - A registered theme name or a theme definition
+ * @param {string|Element|Object} [options.reveal] - A picture revealed by the flipped cells: an image URL,
+ * image, canvas or video element, or `{source, fit}`; see `setRevealSource`
+ * @param {Array|Function} [options.content] - What the cells show, see `setContent`
+ * @param {string|Object} [options.mode] - A registered game mode name, or `{name, ...modeOptions}`
+ * @param {Object} [options.effectConfig] - The effects run on `flip`, `unflip` and `complete`, as lists
+ * of registered effect names or `{name, ...params}`; see `registerFlipGridEffect` and `setEffectConfig`
+ * @param {Object} [options.completion] - The completion celebration: `duration` (default 8000) is how many
+ * milliseconds it lasts, `cooldown` (default 3000) the least time between the starts of two celebrations
+ * @param {number|string} [options.seed] - Seed for every random choice of the flips, effects, cell colors and
+ * dealt boards; random by default. Recordings carry their seed so they replay exactly
+ * @param {string|Object} [options.animation='random'] - How flips are animated, see `setAnimation`
+ * @param {Object} [options.sound] - The effects' sounds: `volume` from 0 to 1 (default 0.5) and `muted`,
+ * which defaults to whether the user prefers reduced motion; see `registerFlipGridSound`
+ * @param {boolean} [options.painting=true] - Whether dragging a pointer across the grid flips every cell
+ * along the way, holding a press flips the cell back and erases along the rest of the drag
+ * @param {boolean|string|Object} [options.persist] - Saves the flipped cells and restores them on load;
+ * `true` or a storage key string to use localStorage, or `{key, storage, hash}` where `storage`
+ * (default true) toggles localStorage and `hash` (default false) mirrors the state in the URL hash
+ * @return {Object} The grid instance with `flip`, `flipAll`, `unflipAll`, `invert`, `flipRow`, `flipColumn`,
+ * `flipRect`, `undo`, `redo`, `getHistoryState`, `play`, `createSequence`, `reset`, `getState`,
+ * `exportState`, `importState`, `setTheme`, `setRevealSource`, `setContent`, `setCellContent`, `setMode`,
+ * `setEffectProfile`, `setEffectConfig`, `setAnimation`, `setVolume`, `getVolume`, `setMuted`, `isMuted`,
+ * `loadSoundPack`, `connect`, `startRecording`, `stopRecording`, `replay`, `exportAnimation`,
+ * `getCompletionState` and `destroy` methods.
+ * The grid element dispatches `cellflip`, `cellunflip`, `gridcomplete`, `gridreset`, `gridrestore`,
+ * `sequenceloop`, `sequenceend`, `syncopen`, `syncclose`, `syncconflict`, `syncerror`, `peerjoin`,
+ * `peerleave`, `replayend`, `completionexit`, `historychange`, `themechange` and `effecterror` (for a failing
+ * effect or sound) events.
+ */
+function createFlipGrid(container, options = {}) {
+    if (flipGridInstances.has(container)) {
+        throw new Error('createFlipGrid: this container already hosts a grid, destroy() it first');
+    }
+    
+    // Constants for grid and effects
+    const gridContainer = container.querySelector('.grid') || createOwnedElement('div', 'grid');
+    const idPrefix = options.idPrefix !== undefined
+        ? options.idPrefix
+        : (flipGridCount === 0 ? '' : `flip-grid-${flipGridCount}-`);
+    const cells = [];
+    
+    // Grid dimensions: defaults, overridden by the options
+    // and then by `data-rows` / `data-cols` on the grid element
+    const gridConfig = {
+        rows: 9,
+        cols: 9,
+        ...readGridDimensions(options),
+        ...readGridDimensions(gridContainer.dataset)
+    };
+    const rows = gridConfig.rows;
+    const cols = gridConfig.cols;
+    
+    // Expose the dimensions to CSS for the grid template and container aspect ratio
+    container.style.setProperty('--rows', rows);
+    container.style.setProperty('--cols', cols);
+    
+    // Canvas setup for advanced particle effects
+    const canvas = container.querySelector('.particle-canvas') || createOwnedElement('canvas', 'particle-canvas');
+    const ctx = canvas.getContext('2d');
+    
+    // Pending timeouts and animation frames, cancelled when the grid is destroyed
+    const timers = new Map();
+    const frames = new Set();
+    
+    // Cells waiting for their animations to end, with the function that stops the wait
+    const animationWaits = new Map();
+    
+    // Owner of the pending save of instant state changes, see `schedulePersist`
+    const persistOwner = {};
+    
+    // Flip sequences currently playing
+    const sequences = new Set();
+    
+    // Rejects of the exports in progress, see `exportAnimation`
+    const activeExports = new Set();
+    
+    // Changes people made, as lists of `{index, from, to}`, to undo and to redo
+    const undoStack = [];
+    const redoStack = [];
+    const historyLimit = 100;
+    
+    // Sequences animating bulk operations, undos and redos, and the corner of a shift-click selection
+    const bulkSequences = new Set();
+    let selectionAnchor = null;
+    
+    // Pointers painting across the grid by pointer id, and whether the click ending a stroke is ignored
+    const painting = options.painting !== false;
+    const longPressDelay = 500;
+    const strokes = new Map();
+    let suppressClick = false;
+    
+    // Connection to a relay sharing the grid, and whether a reset came from it
+    let syncConnection = null;
+    let applyingRemoteReset = false;
+    
+    // Canvas particle system: one pooled engine and render loop for every effect
+    const particleEngine = createParticleEngine(ctx, {
+        capacity: options.particleCapacity,
+        requestFrame
+    });
+    
+    // Canvas sized to the container; particles in flight move along when it resizes
+    const viewport = createCanvasViewport(container, canvas, (previous, size) => {
+        particleEngine.remap(size.width / previous.width, size.height / previous.height);
+    });
+    
+    // Picture revealed by the flipped cells: an explicit source, else the theme's image
+    let revealSource = options.reveal && options.reveal.source !== undefined ? options.reveal.source : (options.reveal || null);
+    let revealFit = options.reveal && options.reveal.fit === 'contain' ? 'contain' : 'cover';
+    let revealMediaSize = null;
+    let revealImage = null;
+    let revealLoadToken = 0;
+    let revealLayer = null;
+    let revealFrameId = null;
+    window.addEventListener('resize', updateRevealLayout);
+    
+    // Active color theme
+    let theme = null;
+    let themeName = null;
+    applyTheme(options.theme || 'nebula');
+    
+    // Effect profile, following the reduced motion preference until one is chosen explicitly
+    const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    let effectProfileName = null;
+    let effectProfile = null;
+    setEffectProfile(options.effects, !options.effects);
+    reducedMotionQuery.addEventListener('change', handleReducedMotionChange);
+    
+    // Sounds of the effects, muted by the reduced motion preference until muted or unmuted explicitly
+    const soundOptions = options.sound || {};
+    let soundMutedExplicitly = soundOptions.muted !== undefined;
+    const soundLayer = createSoundLayer({
+        volume: soundOptions.volume,
+        muted: soundMutedExplicitly ? soundOptions.muted : reducedMotionQuery.matches,
+        onError: (sound, error) => dispatchGridEvent('effecterror', { sound, error })
+    });
+    
+    // Sounds started by the effects of an owner, such as a celebration, by owner
+    const ownedSounds = new Map();
+    
+    // Effects run on flip, unflip and completion
+    let effectConfig = resolveEffectConfig(options.effectConfig);
+    
+    // How cells are animated, and the random source of seeded selection
+    let animationSettings = null;
+    let animationRandom = null;
+    setAnimation(options.animation);
+    
+    // Seed every random choice derives from, and the count of sources handed out so far
+    let randomSeed = options.seed !== undefined ? options.seed : Math.floor(Math.random() * 4294967296);
+    let actionCount = 0;
+    
+    // Count of the sequences given a random stream of their own, see `createSequence`
+    let sequenceCount = 0;
+    
+    // Completion celebration: null while the grid is incomplete, else its state and what it owns
+    const completionSettings = { duration: 8000, cooldown: 3000, ...options.completion };
+    let completion = null;
+    let lastCelebrationTime = -Infinity;
+    
+    // Session being recorded, and the replay in progress
+    let recording = null;
+    let activeReplay = null;
+    
+    // Create a separate container for the DOM floaters of the completion effect
+    const particlesContainer = document.createElement('div');
+    particlesContainer.classList.add('particles-container');
+    container.appendChild(particlesContainer);
+    
+    // Front and back faces of each cell, and the content shown on them
+    const cellFaces = [];
+    let cellContent = options.content || null;
+    
+    // ARIA row wrappers and the index of the cell holding the roving tabindex
+    const rowElements = [];
+    let activeCellIndex = 0;
+    
+    // Live region for screen reader announcements
+    const liveRegion = document.createElement('div');
+    liveRegion.classList.add('visually-hidden');
+    liveRegion.setAttribute('aria-live', 'polite');
+    liveRegion.setAttribute('role', 'status');
+    container.appendChild(liveRegion);
+    
+    /**
+     * Creates an element for the grid when the container markup does not provide one.
+     * Owned elements are removed again by `destroy`.
+     * @param {string} tagName - The tag name of the element
+     * @param {string} className - The class identifying the element
+     * @return {HTMLElement} The element, already appended to the container
+     */
+    function createOwnedElement(tagName, className) {
+        const element = document.createElement(tagName);
+        element.classList.add(className);
+        element.dataset.owned = 'true';
+        container.appendChild(element);
+        return element;
+    }
+    
+    /**
+     * Runs a callback after a delay, tracking the timeout so it can be cancelled
+     * @param {Function} callback - The function to run
+     * @param {number} delay - The delay in milliseconds
+     * @param {HTMLElement} [owner] - The cell the timeout belongs to, for `cancelScheduled`
+     * @return {number} The timeout id
+     */
+    function schedule(callback, delay, owner = null) {
+        const id = setTimeout(() => {
+            timers.delete(id);
+            callback();
+        }, delay);
+        timers.set(id, owner);
+        return id;
+    }
+    
+    /**
+     * Cancels the pending timeouts and animation waits of a cell, or all of them when no cell is given
+     * @param {HTMLElement} [owner] - The cell whose timeouts should be cancelled
+     */
+    function cancelScheduled(owner) {
+        timers.forEach((timerOwner, id) => {
+            if (owner === undefined || timerOwner === owner) {
+                clearTimeout(id);
+                timers.delete(id);
+            }
+        });
+        
+        if (owner === undefined) {
+            [...animationWaits.keys()].forEach(stopWaiting);
+        } else if (owner) {
+            stopWaiting(owner);
+        }
+    }
+    
+    /**
+     * Requests an animation frame, tracking it so it can be cancelled
+     * @param {Function} callback - The frame callback
+     * @return {number} The request id
+     */
+    function requestFrame(callback) {
+        const id = requestAnimationFrame(time => {
+            frames.delete(id);
+            callback(time);
+        });
+        frames.add(id);
+        return id;
+    }
+    
+    /**
+     * Resolves a theme and exposes its container styles to CSS
+     * @param {string|Object} nameOrTheme - A registered theme name or a theme definition
+     */
+    function applyTheme(nameOrTheme) {
+        if (typeof nameOrTheme === 'string') {
+            if (!flipGridThemes[nameOrTheme]) {
+                throw new Error(`Unknown theme "${nameOrTheme}"`);
+            }
+            themeName = nameOrTheme;
+            theme = flipGridThemes[nameOrTheme];
+        } else {
+            themeName = 'custom';
+            theme = { ...flipGridThemes.nebula, ...nameOrTheme };
+        }
+        
+        container.style.setProperty('--theme-background', theme.background);
+        container.style.setProperty('--theme-shadow', theme.shadow);
+        container.style.setProperty('--theme-glow', theme.glow);
+        
+        // The theme's picture is revealed unless a reveal source was set explicitly
+        updateReveal();
+    }
+    
+    /**
+     * Sets the picture revealed by the flipped cells.
+     * Images are sliced across the cells, so each tile turns with its cell; canvas and video
+     * elements are drawn live to a layer beneath the grid that flipped cells let through.
+     * @param {string|HTMLImageElement|HTMLCanvasElement|HTMLVideoElement|null} source - An image URL or
+     * element, or null to go back to the theme's picture or flat colors
+     * @param {Object} [revealOptions] - Reveal options
+     * @param {string} [revealOptions.fit='cover'] - `cover` crops the media to fill the grid,
+     * `contain` shows all of it with the cell colors around it
+     */
+    function setRevealSource(source, revealOptions = {}) {
+        revealSource = source;
+        revealFit = revealOptions.fit === 'contain' ? 'contain' : 'cover';
+        updateReveal();
+    }
+    
+    /**
+     * Shows the explicit reveal source, else the theme's image, else nothing
+     */
+    function updateReveal() {
+        const source = revealSource || theme.image || null;
+        const loadToken = ++revealLoadToken;
+        
+        stopLiveReveal();
+        revealMediaSize = null;
+        revealImage = null;
+        gridContainer.style.removeProperty('--reveal-image');
+        
+        if (!source) {
+            updateRevealLayout();
+        } else if (typeof source === 'string' || source instanceof HTMLImageElement) {
+            loadRevealImage(source, loadToken);
+        } else if (source instanceof HTMLCanvasElement || source instanceof HTMLVideoElement) {
+            startLiveReveal(source);
+        } else {
+            throw new Error('setRevealSource: expected an image URL, image, canvas or video element');
+        }
+    }
+    
+    /**
+     * Slices an image across the cells once its natural size is known
+     * @param {string|HTMLImageElement} source - The image URL or element
+     * @param {number} loadToken - Identifies the request, so a slow load cannot override a newer source
+     */
+    function loadRevealImage(source, loadToken) {
+        const image = typeof source === 'string' ? new Image() : source;
+        
+        const apply = () => {
+            if (loadToken !== revealLoadToken || !image.naturalWidth) {
+                return;
+            }
+            revealMediaSize = { width: image.naturalWidth, height: image.naturalHeight };
+            revealImage = image;
+            gridContainer.style.setProperty('--reveal-image', `url("${image.currentSrc || image.src}")`);
+            updateRevealLayout();
+        };
+        
+        if (image.complete && image.naturalWidth) {
+            apply();
+        } else {
+            image.addEventListener('load', apply, { once: true });
+            if (typeof source === 'string') {
+                image.src = source;
+            }
+        }
+    }
+    
+    /**
+     * Returns the size of the revealed media relative to the grid, after fitting
+     * @return {{width: number, height: number}} Fractions of the grid size, 1 meaning the full width or height
+     */
+    function getRevealFitSize() {
+        // Without media there is nothing to fit, and no layout to force
+        if (!revealMediaSize) {
+            return { width: 1, height: 1 };
+        }
+        
+        const rect = gridContainer.getBoundingClientRect();
+        if (!rect.width || !rect.height) {
+            return { width: 1, height: 1 };
+        }
+        
+        const scaleX = rect.width / revealMediaSize.width;
+        const scaleY = rect.height / revealMediaSize.height;
+        const scale = revealFit === 'contain' ? Math.min(scaleX, scaleY) : Math.max(scaleX, scaleY);
+        
+        return {
+            width: (revealMediaSize.width * scale) / rect.width,
+            height: (revealMediaSize.height * scale) / rect.height
+        };
+    }
+    
+    /**
+     * Sets the background position and size that make a cell show its own tile
+     * of a background spanning the whole grid, centered and fitted to the media's aspect ratio
+     * @param {HTMLElement} cell - The cell element
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     * @param {{width: number, height: number}} [fit] - The fitted media size from `getRevealFitSize`
+     */
+    function setCellSlice(cell, row, col, fit = getRevealFitSize()) {
+        // A percentage position p places the background at p * (cell size - background size),
+        // solved here for the offset that lines the centered media up with this cell
+        // (a single row or column with an exact fit has nothing to offset against)
+        const slicePosition = (count, index, size) => {
+            const denominator = 1 - count * size;
+            return Math.abs(denominator) < 1e-9 ? 0 : (((count * (1 - size)) / 2 - index) / denominator) * 100;
+        };
+        
+        const bgPosX = slicePosition(cols, col, fit.width);
+        const bgPosY = slicePosition(rows, row, fit.height);
+        const bgSizeX = cols * fit.width * 100;
+        const bgSizeY = rows * fit.height * 100;
+        
+        // Set the background position for each cell to create a unified background
+        cell.style.setProperty('--bg-pos-x', `${bgPosX}%`);
+        cell.style.setProperty('--bg-pos-y', `${bgPosY}%`);
+        
+        // Calculate the background size to make the background span the entire grid
+        cell.style.setProperty('--bg-size-x', `${bgSizeX}%`);
+        cell.style.setProperty('--bg-size-y', `${bgSizeY}%`);
+        
+        // Set the cell's before element to show the proper part of the background
+        cell.style.setProperty('background-position', `${bgPosX}% ${bgPosY}%`);
+        cell.style.setProperty('background-size', `${bgSizeX}% ${bgSizeY}%`);
+    }
+    
+    /**
+     * Recomputes every cell's slice, e.g. after the media or the grid's aspect ratio changed
+     */
+    function updateRevealLayout() {
+        const fit = getRevealFitSize();
+        cells.forEach((cell, index) => setCellSlice(cell, Math.floor(index / cols), index % cols, fit));
+    }
+    
+    /**
+     * Starts drawing a canvas or video to the layer beneath the grid every frame
+     * @param {HTMLCanvasElement|HTMLVideoElement} source - The live media
+     */
+    function startLiveReveal(source) {
+        if (!revealLayer) {
+            revealLayer = document.createElement('canvas');
+            revealLayer.classList.add('reveal-layer');
+            container.insertBefore(revealLayer, gridContainer);
+        }
+        
+        const layerCtx = revealLayer.getContext('2d');
+        gridContainer.classList.add('reveal-live');
+        
+        const drawFrame = () => {
+            const layerWidth = Math.round(viewport.width * viewport.dpr);
+            const layerHeight = Math.round(viewport.height * viewport.dpr);
+            if (revealLayer.width !== layerWidth || revealLayer.height !== layerHeight) {
+                revealLayer.width = layerWidth;
+                revealLayer.height = layerHeight;
+            }
+            
+            // Videos have no size until their metadata has loaded
+            const width = source.videoWidth || source.width;
+            const height = source.videoHeight || source.height;
+            const ready = !(source instanceof HTMLVideoElement) || source.readyState >= 2;
+            
+            layerCtx.clearRect(0, 0, revealLayer.width, revealLayer.height);
+            if (width && height && ready) {
+                revealMediaSize = { width, height };
+                const fit = getRevealFitSize();
+                const drawWidth = fit.width * revealLayer.width;
+                const drawHeight = fit.height * revealLayer.height;
+                layerCtx.drawImage(
+                    source,
+                    (revealLayer.width - drawWidth) / 2,
+                    (revealLayer.height - drawHeight) / 2,
+                    drawWidth,
+                    drawHeight
+                );
+            }
+            
+            revealFrameId = requestFrame(drawFrame);
+        };
+        
+        drawFrame();
+    }
+    
+    /**
+     * Stops drawing live media and removes its layer
+     */
+    function stopLiveReveal() {
+        if (revealFrameId !== null) {
+            cancelAnimationFrame(revealFrameId);
+            frames.delete(revealFrameId);
+            revealFrameId = null;
+        }
+        if (revealLayer) {
+            revealLayer.remove();
+            revealLayer = null;
+        }
+        gridContainer.classList.remove('reveal-live');
+    }
+    
+    /**
+     * Switches the theme at runtime, fading the background and cell colors over to it
+     * @param {string|Object} nameOrTheme - A registered theme name or a theme definition
+     */
+    function setTheme(nameOrTheme) {
+        // Fade the background out, swap it while hidden, then fade it back in
+        container.classList.add('theme-changing');
+        schedule(() => {
+            applyTheme(nameOrTheme);
+            applyCellColors();
+            container.classList.remove('theme-changing');
+            dispatchGridEvent('themechange', { theme: themeName });
+        }, 400);
+    }
+    
+    /**
+     * Returns the hue at a position along the theme's gradient stops
+     * @param {number} position - A value between 0 and 1
+     * @return {number} The hue in degrees
+     */
+    function getThemeHue(position) {
+        const stops = theme.stops;
+        if (stops.length === 1) {
+            return stops[0];
+        }
+        
+        const scaled = Math.min(Math.max(position, 0), 1) * (stops.length - 1);
+        const index = Math.min(Math.floor(scaled), stops.length - 2);
+        return stops[index] + (stops[index + 1] - stops[index]) * (scaled - index);
+    }
+    
+    /**
+     * Picks a random value within a `[min, max]` range of the theme
+     * @param {number[]} range - The minimum and maximum
+     * @param {Function} random - The random number source
+     * @return {number} A whole number within the range
+     */
+    function randomInRange(range, random) {
+        return Math.floor(random() * (range[1] - range[0])) + range[0];
+    }
+    
+    /**
+     * Returns a random number source for the next flip or effect.
+     * Each one is derived from the grid's seed and a running count, so a session repeated in the
+     * same order draws the same numbers however its timers interleave.
+     * @return {Function} A function returning numbers in [0, 1), like `Math.random`
+     */
+    function nextRandom() {
+        return createRandom(`${randomSeed}:${actionCount++}`);
+    }
+    
+    /**
+     * Switches the effect profile, taking effect from the next flip
+     * @param {string} [name] - `full`, `lite`, `minimal` or `none`; omit to follow the reduced motion preference
+     * @param {boolean} [automatic=false] - Internal: whether the profile was picked from the preference
+     */
+    function setEffectProfile(name, automatic = false) {
+        if (!name) {
+            name = reducedMotionQuery.matches ? 'minimal' : 'full';
+            automatic = true;
+        }
+        if (!effectProfiles[name]) {
+            throw new Error(`Unknown effect profile "${name}"`);
+        }
+        
+        effectProfileName = automatic ? null : name;
+        effectProfile = effectProfiles[name];
+        particleEngine.setBlurGlow(effectProfile.canvasGlow);
+        
+        // Let CSS tone down its own animations as well
+        container.dataset.effects = name;
+    }
+    
+    /**
+     * Returns the name of the active effect profile
+     * @return {string} The profile name
+     */
+    function getEffectProfile() {
+        return container.dataset.effects;
+    }
+    
+    /**
+     * Follows the reduced motion preference unless a profile was chosen explicitly
+     */
+    function handleReducedMotionChange() {
+        if (!effectProfileName) {
+            setEffectProfile();
+        }
+        if (!soundMutedExplicitly) {
+            soundLayer.setMuted(reducedMotionQuery.matches);
+        }
+    }
+    
+    /**
+     * Mutes or unmutes the sounds of the effects
+     * @param {boolean} [muted] - Whether to mute; omit to follow the reduced motion preference again
+     */
+    function setMuted(muted) {
+        soundMutedExplicitly = muted !== undefined;
+        soundLayer.setMuted(soundMutedExplicitly ? muted : reducedMotionQuery.matches);
+    }
+    
+    /**
+     * Scales a particle count by the active effect profile
+     * @param {number} count - The count at the `full` profile
+     * @return {number} The scaled count
+     */
+    function scaledCount(count) {
+        return Math.round(count * effectProfile.scale);
+    }
+    
+    /**
+     * Reads positive integer `rows` / `cols` values from a config source
+     * @param {Object} source - A config object or an element's dataset
+     * @return {{rows?: number, cols?: number}} Only the dimensions that are valid
+     */
+    function readGridDimensions(source) {
+        const dimensions = {};
+        
+        ['rows', 'cols'].forEach(key => {
+            const value = parseInt(source[key], 10);
+            if (Number.isInteger(value) && value > 0) {
+                dimensions[key] = value;
+            }
+        });
+        
+        return dimensions;
+    }
+    
+    /**
+     * Returns the normalized diagonal position of a cell, 0 at the top-left and 1 at the bottom-right
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     * @return {number} A value between 0 and 1
+     */
+    function getDiagonalPosition(row, col) {
+        const maxDiagonal = rows + cols - 2;
+        return maxDiagonal > 0 ? (row + col) / maxDiagonal : 0;
+    }
+    
+    /**
+     * Initialize the grid and create all cells
+     */
+    function initializeGrid() {
+        // Expose the grid to assistive technology
+        gridContainer.setAttribute('role', 'grid');
+        gridContainer.setAttribute('aria-label', options.label || 'Flip grid');
+        gridContainer.setAttribute('aria-rowcount', rows);
+        gridContainer.setAttribute('aria-colcount', cols);
+        
+        // Group the cells into ARIA rows; the row elements use `display: contents`
+        // so the cells stay direct items of the CSS grid
+        for (let row = 0; row < rows; row++) {
+            const rowElement = document.createElement('div');
+            rowElement.classList.add('grid-row');
+            rowElement.setAttribute('role', 'row');
+            rowElements.push(rowElement);
+            gridContainer.appendChild(rowElement);
+        }
+        
+        // Measured once for every cell's slice of the revealed picture
+        const fit = getRevealFitSize();
+        
+        // Generate grid cells
+        for (let i = 0; i < rows * cols; i++) {
+            const cell = document.createElement('div');
+            cell.classList.add('cell');
+            
+            // The back face is turned around within the cell, so it reads correctly once the cell is flipped
+            const front = document.createElement('div');
+            front.classList.add('cell-face', 'cell-front');
+            const back = document.createElement('div');
+            back.classList.add('cell-face', 'cell-back');
+            cell.append(front, back);
+            cellFaces.push({ front, back, label: '' });
+            
+            // Calculate row and column for position-based effects
+            const row = Math.floor(i / cols);
+            const col = i % cols;
+            
+            // Add custom properties for position-aware animations
+            cell.style.setProperty('--row', row);
+            cell.style.setProperty('--col', col);
+            
+            // Set background position to create a unified gradient effect
+            // Each cell shows only a portion of the background spanning the grid
+            setCellSlice(cell, row, col, fit);
+            
+            // Add initial animation delay based on position for diagonal wave effect
+            const initialDelay = (row + col) * 50;
+            cell.style.animationDelay = `${initialDelay}ms`;
+            
+            // Create a unique cell ID for tracking
+            const cellId = `${idPrefix}cell-${row}-${col}`;
+            cell.id = cellId;
+            
+            // Grid cell semantics with a roving tabindex, only the active cell is tabbable
+            cell.setAttribute('role', 'gridcell');
+            cell.tabIndex = i === activeCellIndex ? 0 : -1;
+            updateCellLabel(cell, row, col);
+            
+            // Add click event listener
+            cell.addEventListener('click', (event) => handleCellClick(event, cell, row, col));
+            
+            cells.push(cell);
+            rowElements[row].appendChild(cell);
+            renderCellContent(i);
+        }
+        
+        gridContainer.addEventListener('keydown', handleGridKeydown);
+        gridContainer.addEventListener('focusin', handleGridFocus);
+        container.addEventListener('keydown', handleHistoryKeydown);
+        
+        if (painting) {
+            gridContainer.classList.add('painting');
+            gridContainer.addEventListener('pointerdown', handleStrokeStart);
+            gridContainer.addEventListener('pointermove', handleStrokeMove);
+            gridContainer.addEventListener('click', handleStrokeClick, true);
+            
+            // Strokes may end outside the grid
+            window.addEventListener('pointerup', handleStrokeEnd);
+            window.addEventListener('pointercancel', handleStrokeEnd);
+        }
+        
+        // Bring back the saved progress, without replaying the flips
+        const savedFlags = loadPersistedState();
+        if (savedFlags) {
+            applyFlippedState(savedFlags);
+        }
+    }
+    
+    /**
+     * Resolves the `persist` option
+     * @return {{key: string, storage: boolean, hash: boolean}|null} The persistence settings, or null when disabled
+     */
+    function getPersistSettings() {
+        const persist = options.persist;
+        if (!persist) {
+            return null;
+        }
+        
+        const defaultKey = idPrefix ? `flip-grid-${idPrefix.replace(/-$/, '')}` : 'flip-grid';
+        if (typeof persist === 'string') {
+            return { key: persist, storage: true, hash: false };
+        }
+        return {
+            key: persist.key || defaultKey,
+            storage: persist.storage !== false,
+            hash: persist.hash === true
+        };
+    }
+    
+    /**
+     * Reads the saved state, preferring the URL hash so shared links win over local progress
+     * @return {boolean[]|null} The flipped flags, or null when nothing usable was saved
+     */
+    function loadPersistedState() {
+        const settings = getPersistSettings();
+        if (!settings) {
+            return null;
+        }
+        
+        const dimensions = `${rows}x${cols}`;
+        const candidates = [];
+        
+        if (settings.hash) {
+            candidates.push(new URLSearchParams(window.location.hash.slice(1)).get(settings.key));
+        }
+        if (settings.storage) {
+            try {
+                candidates.push(window.localStorage.getItem(settings.key));
+            } catch (error) {
+                // Storage can be unavailable, e.g. in private browsing; nothing to restore then
+            }
+        }
+        
+        for (const value of candidates) {
+            // Saved as "<rows>x<cols>.<bits>", ignored if the grid has since changed size
+            const [savedDimensions, encoded] = (value || '').split('.');
+            if (savedDimensions === dimensions && encoded !== undefined) {
+                const flags = decodeFlippedState(encoded, rows * cols);
+                if (flags) {
+                    return flags;
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Saves the current state to the configured places
+     */
+    function persistState() {
+        const settings = getPersistSettings();
+        if (!settings) {
+            return;
+        }
+        
+        const flags = cells.map(cell => cell.classList.contains('flipped'));
+        const value = `${rows}x${cols}.${encodeFlippedState(flags)}`;
+        
+        if (settings.storage) {
+            try {
+                window.localStorage.setItem(settings.key, value);
+            } catch (error) {
+                // Quota exceeded or storage disabled, the grid keeps working without saving
+            }
+        }
+        if (settings.hash) {
+            const params = new URLSearchParams(window.location.hash.slice(1));
+            params.set(settings.key, value);
+            
+            // Replace rather than push so flipping does not fill the browser history
+            history.replaceState(null, '', `#${params}`);
+        }
+    }
+    
+    /**
+     * Saves the state once the current run of instant changes is done, as those dispatch
+     * no events the save listeners would hear
+     */
+    function schedulePersist() {
+        if (getPersistSettings()) {
+            cancelScheduled(persistOwner);
+            schedule(persistState, 0, persistOwner);
+        }
+    }
+    
+    /**
+     * Sets every cell's flipped state at once, without animations or effects
+     * @param {boolean[]} flags - The flipped state of each cell in row-major order
+     */
+    function applyFlippedState(flags) {
+        // Suspend the CSS transitions so the cells snap to their state
+        gridContainer.classList.add('restoring');
+        
+        cells.forEach((cell, index) => setCellFlippedInstantly(cell, index, flags[index]));
+        gridContainer.style.animation = '';
+        clearHistory();
+        
+        requestFrame(() => gridContainer.classList.remove('restoring'));
+    }
+    
+    /**
+     * Sets one cell's flipped state, dropping any flip in progress
+     * @param {HTMLElement} cell - The cell element
+     * @param {number} index - The index of the cell
+     * @param {boolean} flipped - The new state
+     */
+    function setCellFlippedInstantly(cell, index, flipped) {
+        cancelScheduled(cell);
+        delete cell.dataset.unflipping;
+        cell.classList.toggle('flipped', flipped);
+        cell.style.animation = '';
+        cell.dataset.animating = 'false';
+        updateCellLabel(cell, Math.floor(index / cols), index % cols);
+        schedulePersist();
+        
+        if (!flipped) {
+            leaveCompletion('restore');
+        }
+    }
+    
+    /**
+     * Returns the state a cell is in, or is animating toward
+     * @param {HTMLElement} cell - The cell element
+     * @return {boolean} Whether the cell is or will be flipped
+     */
+    function isHeadingFlipped(cell) {
+        if (cell.dataset.unflipping) {
+            return false;
+        }
+        return cell.classList.contains('flipped') || cell.dataset.animating === 'true';
+    }
+    
+    /**
+     * Creates the controller a game mode uses to drive the grid
+     * @param {string} name - The mode name
+     * @return {Object} The controller
+     */
+    function createModeController(name) {
+        // Timeouts of the mode, cancelled when it is reset or replaced
+        const modeTimers = new Set();
+        
+        return {
+            rows,
+            cols,
+            
+            // Random source for boards the mode deals, a new deal each time the mode starts,
+            // in the same order for the same grid seed
+            random: createRandom(`${randomSeed}:mode:${name}:${actionCount++}`),
+            element: gridContainer,
+            container,
+            idPrefix,
+            getCell,
+            isFlipped: (row, col) => getCell(row, col).classList.contains('flipped'),
+            
+            // The state a cell is flipping toward, unlike `isFlipped` while an unflip plays
+            isHeadingFlipped: (row, col) => isHeadingFlipped(getCell(row, col)),
+            isAnimating: (row, col) => getCell(row, col).dataset.animating === 'true',
+            
+            // Animated flips through the normal flip path, see `toggleCell`
+            toggle: (row, col, toggleOptions) => toggleCell(getCell(row, col), row, col, toggleOptions),
+            
+            // Instant state changes, without animations or events
+            setFlipped: (row, col, flipped) => {
+                gridContainer.classList.add('restoring');
+                setCellFlippedInstantly(getCell(row, col), row * cols + col, flipped);
+                requestFrame(() => gridContainer.classList.remove('restoring'));
+            },
+            
+            // Particle burst centered on a cell
+            burst: (row, col) => {
+                const center = getCellCenter(row, col);
+                runEffects('flip', center.x, center.y, nextRandom(), { row, col });
+            },
+            
+            schedule: (callback, delay) => {
+                const id = schedule(() => {
+                    modeTimers.delete(id);
+                    callback();
+                }, delay);
+                modeTimers.add(id);
+                return id;
+            },
+            cancelScheduled: () => {
+                modeTimers.forEach(id => {
+                    clearTimeout(id);
+                    timers.delete(id);
+                });
+                modeTimers.clear();
+            },
+            dispatch: dispatchGridEvent,
+            announce,
+            
+            // Theme colors, and a repaint of the cell colors after the mode's `getCellColor` changed
+            getThemeHue,
+            refreshColors: applyCellColors
+        };
+    }
+    
+    /**
+     * Switches the game mode, starting from an unflipped grid with no sequence playing
+     * @param {string|null} name - A registered mode name, or null for plain flipping
+     * @param {Object} [modeOptions] - Options passed to the mode
+     */
+    function setMode(name, modeOptions = {}) {
+        if (name && !flipGridModes[name]) {
+            throw new Error(`Unknown mode "${name}"`);
+        }
+        
+        if (activeMode && activeMode.destroy) {
+            activeMode.destroy();
+        }
+        if (activeModeController) {
+            activeModeController.cancelScheduled();
+        }
+        activeMode = null;
+        activeModeName = null;
+        activeModeOptions = null;
+        activeModeController = null;
+        
+        sequences.forEach(sequence => sequence.stop());
+        applyFlippedState(cells.map(() => false));
+        
+        if (name) {
+            activeModeName = name;
+            activeModeOptions = modeOptions;
+            activeModeController = createModeController(name);
+            activeMode = flipGridModes[name](activeModeController, modeOptions);
+        }
+        gridContainer.dataset.mode = name || '';
+        
+        // Colors chosen by the previous or the new mode
+        applyCellColors();
+    }
+    
+    /**
+     * Serializes the grid state for saving elsewhere
+     * @return {string} A JSON string with the dimensions and the flipped state of every cell
+     */
+    function exportState() {
+        const { flipped } = getState();
+        return JSON.stringify({ version: 1, rows, cols, flipped });
+    }
+    
+    /**
+     * Restores a state made by `exportState`, without replaying the flips
+     * @param {string|Object} state - The JSON string or the parsed object
+     */
+    function importState(state) {
+        const data = typeof state === 'string' ? JSON.parse(state) : state;
+        
+        if (!data || data.rows !== rows || data.cols !== cols || !Array.isArray(data.flipped)) {
+            throw new Error(`importState: expected a ${rows}x${cols} grid state`);
+        }
+        
+        const flags = [];
+        data.flipped.forEach(rowFlags => rowFlags.forEach(flag => flags.push(Boolean(flag))));
+        if (flags.length !== rows * cols) {
+            throw new Error(`importState: expected ${rows * cols} cells, got ${flags.length}`);
+        }
+        
+        applyFlippedState(flags);
+        persistState();
+        dispatchGridEvent('gridrestore');
+    }
+    
+    /**
+     * Updates the accessible name of a cell to match its flipped state
+     * @param {HTMLElement} cell - The cell element
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     */
+    function updateCellLabel(cell, row, col) {
+        const flipped = cell.classList.contains('flipped');
+        const faces = cellFaces[row * cols + col];
+        const content = flipped && faces && faces.label ? `: ${faces.label}` : '';
+        cell.setAttribute('aria-label', `row ${row + 1} column ${col + 1}, ${flipped ? 'revealed' : 'hidden'}${content}`);
+    }
+    
+    /**
+     * Returns the content given for a cell
+     * @param {number} index - The index of the cell
+     * @return {*} The cell's content, or null for none
+     */
+    function getCellContent(index) {
+        const row = Math.floor(index / cols);
+        const col = index % cols;
+        
+        if (typeof cellContent === 'function') {
+            return cellContent(row, col, index);
+        }
+        if (Array.isArray(cellContent)) {
+            // Rows of content, or one entry per cell
+            return Array.isArray(cellContent[0]) ? (cellContent[row] || [])[col] : cellContent[index];
+        }
+        return null;
+    }
+    
+    /**
+     * Renders a cell's content onto its faces
+     * @param {number} index - The index of the cell
+     */
+    function renderCellContent(index) {
+        const faces = cellFaces[index];
+        let content = getCellContent(index);
+        if (content === undefined || content === null) {
+            content = {};
+        } else if (typeof content !== 'object' || content instanceof Node) {
+            content = { back: content };
+        }
+        
+        // The revealed face is described by the content itself unless it names it as `back`
+        const { front = null, label, ...backFields } = content;
+        const back = content.back !== undefined ? content.back : backFields;
+        
+        renderFace(faces.front, front);
+        const backText = renderFace(faces.back, back);
+        faces.label = label !== undefined ? String(label) : backText;
+        
+        updateCellLabel(cells[index], Math.floor(index / cols), index % cols);
+    }
+    
+    /**
+     * Fills a cell face with text, an image, HTML or a cloned template
+     * @param {HTMLElement} face - The face element
+     * @param {string|number|Node|Object} [content] - Text, a node (templates are cloned), or
+     * `{text}`, `{image, alt}`, `{html}` or `{template}` with a template element or selector
+     * @return {string} Text describing the face for screen readers
+     */
+    function renderFace(face, content) {
+        face.replaceChildren();
+        face.classList.remove('has-content');
+        if (content === null || content === undefined || content === '') {
+            return '';
+        }
+        
+        const body = document.createElement('div');
+        body.classList.add('cell-content');
+        let template = content.template !== undefined ? content.template : content;
+        if (typeof template === 'string' && content.template !== undefined) {
+            template = document.querySelector(template);
+        }
+        
+        if (typeof content !== 'object') {
+            body.textContent = String(content);
+        } else if (template instanceof HTMLTemplateElement) {
+            body.appendChild(template.content.cloneNode(true));
+        } else if (content instanceof Node) {
+            body.appendChild(content);
+        } else if (content.image) {
+            const image = document.createElement('img');
+            image.src = content.image;
+            image.alt = content.alt || '';
+            body.appendChild(image);
+        } else if (content.html !== undefined) {
+            body.innerHTML = content.html;
+        } else if (content.text !== undefined) {
+            body.textContent = String(content.text);
+        } else {
+            return '';
+        }
+        
+        face.appendChild(body);
+        face.classList.add('has-content');
+        return content.alt || body.textContent.trim();
+    }
+    
+    /**
+     * Replaces the content of every cell
+     * @param {Array|Function|null} content - One entry per cell, rows of entries, or a function called
+     * with `(row, col, index)` returning a cell's entry; see `setCellContent` for the entries
+     */
+    function setContent(content) {
+        cellContent = content;
+        cells.forEach((cell, index) => renderCellContent(index));
+    }
+    
+    /**
+     * Replaces the content of one cell
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     * @param {string|number|Node|Object|null} content - What the revealed face shows: text or emoji,
+     * a node or template element, or `{text}`, `{image, alt}`, `{html}` or `{template}`. An object can
+     * also give `front`, shown before the cell is flipped, and `label`, read by screen readers
+     */
+    function setCellContent(row, col, content) {
+        const index = row * cols + col;
+        if (!cells[index]) {
+            return;
+        }
+        
+        // Switch to one entry per cell, keeping the content of the others
+        if (!Array.isArray(cellContent) || Array.isArray(cellContent[0])) {
+            cellContent = cells.map((cell, i) => getCellContent(i));
+        }
+        cellContent[index] = content;
+        renderCellContent(index);
+    }
+    
+    /**
+     * Moves the roving tabindex to another cell
+     * @param {number} index - The index of the cell to activate
+     * @param {boolean} [focus=true] - Whether to move keyboard focus to the cell
+     */
+    function setActiveCell(index, focus = true) {
+        if (index !== activeCellIndex) {
+            cells[activeCellIndex].tabIndex = -1;
+            cells[index].tabIndex = 0;
+            activeCellIndex = index;
+        }
+        if (focus) {
+            cells[index].focus();
+        }
+    }
+    
+    /**
+     * Keeps the roving tabindex on the cell that received focus, e.g. by a click
+     * @param {FocusEvent} event - The focusin event
+     */
+    function handleGridFocus(event) {
+        const index = cells.indexOf(event.target);
+        if (index !== -1) {
+            setActiveCell(index, false);
+        }
+    }
+    
+    /**
+     * Handles grid keyboard navigation: arrow keys move between cells, Home/End jump
+     * within the row (with Ctrl, to the first/last cell), Enter and Space flip the active cell
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    function handleGridKeydown(event) {
+        const row = Math.floor(activeCellIndex / cols);
+        const col = activeCellIndex % cols;
+        let targetRow = row;
+        let targetCol = col;
+        
+        switch (event.key) {
+            case 'ArrowUp':
+                targetRow = Math.max(0, row - 1);
+                break;
+            case 'ArrowDown':
+                targetRow = Math.min(rows - 1, row + 1);
+                break;
+            case 'ArrowLeft':
+                targetCol = Math.max(0, col - 1);
+                break;
+            case 'ArrowRight':
+                targetCol = Math.min(cols - 1, col + 1);
+                break;
+            case 'Home':
+                targetCol = 0;
+                if (event.ctrlKey) targetRow = 0;
+                break;
+            case 'End':
+                targetCol = cols - 1;
+                if (event.ctrlKey) targetRow = rows - 1;
+                break;
+            case 'Enter':
+            case ' ':
+                event.preventDefault();
+                if (event.shiftKey && selectRect(row, col)) {
+                    return;
+                }
+                selectionAnchor = activeCellIndex;
+                activateCell(cells[activeCellIndex], row, col);
+                return;
+            default:
+                return;
+        }
+        
+        event.preventDefault();
+        setActiveCell(targetRow * cols + targetCol);
+    }
+    
+    /**
+     * Handles the history shortcuts anywhere in the container, such as on a mode's buttons, but not
+     * while editing text: Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y redo
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    function handleHistoryKeydown(event) {
+        const key = event.key.toLowerCase();
+        if (!(event.ctrlKey || event.metaKey) || (key !== 'z' && key !== 'y')) {
+            return;
+        }
+        if (event.target.closest('input, textarea, select, [contenteditable]')) {
+            return;
+        }
+        
+        event.preventDefault();
+        if (key === 'y' || event.shiftKey) {
+            redo();
+        } else {
+            undo();
+        }
+    }
+    
+    /**
+     * Announces a message through the live region
+     * @param {string} message - The text for screen readers to read
+     */
+    function announce(message) {
+        // Clear first so repeating the same message is announced again
+        liveRegion.textContent = '';
+        schedule(() => {
+            liveRegion.textContent = message;
+        }, 50);
+    }
+    
+    /**
+     * Handles the click event on a cell
+     * @param {Event} event - The click event
+     * @param {HTMLElement} cell - The cell element that was clicked
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     */
+    function handleCellClick(event, cell, row, col) {
+        // Prevent default to avoid any browser-specific issues
+        event.preventDefault();
+        
+        // Shift-click flips the rectangle between the last clicked cell and this one
+        if (event.shiftKey && selectRect(row, col)) {
+            return;
+        }
+        selectionAnchor = row * cols + col;
+        
+        // Effects start where the pointer is; clicks made by keyboard or script have no position
+        const point = event.detail ? viewport.toLocalPoint(event.clientX, event.clientY) : null;
+        activateCell(cell, row, col, point);
+    }
+    
+    /**
+     * Flips the rectangle from the selection anchor to a cell, outside game modes
+     * @param {number} row - The row index of the far corner
+     * @param {number} col - The column index of the far corner
+     * @return {boolean} Whether there was an anchor to select from
+     */
+    function selectRect(row, col) {
+        if (selectionAnchor === null || activeMode) {
+            return false;
+        }
+        
+        flipRect(Math.floor(selectionAnchor / cols), selectionAnchor % cols, row, col);
+        return true;
+    }
+    
+    /**
+     * Starts tracking a pointer pressed on a cell. Until the pointer leaves the cell the press is
+     * a plain tap, handled by the click it ends with; holding it still flips the cell back.
+     * @param {PointerEvent} event - The pointer event
+     */
+    function handleStrokeStart(event) {
+        const index = cells.indexOf(event.target);
+        if (event.button !== 0 || index === -1) {
+            return;
+        }
+        
+        suppressClick = false;
+        const point = viewport.toLocalPoint(event.clientX, event.clientY);
+        const stroke = {
+            origin: index,
+            lastIndex: index,
+            start: point,
+            last: point,
+            
+            // Whether cells are flipped or flipped back, chosen once the press turns into a stroke
+            target: null,
+            
+            // Cells already activated, for game modes where activating twice undoes the first
+            visited: new Set(),
+            
+            // Changes of the stroke, undone together
+            changes: [],
+            id: event.pointerId
+        };
+        strokes.set(event.pointerId, stroke);
+        
+        // Long press: game modes decide themselves what activating a cell means
+        schedule(() => {
+            if (stroke.target === null && !activeMode) {
+                stroke.target = false;
+                paintCell(stroke, stroke.origin, stroke.start);
+            }
+        }, longPressDelay, stroke);
+    }
+    
+    /**
+     * Paints the cells a pointer crossed since its last move
+     * @param {PointerEvent} event - The pointer event
+     */
+    function handleStrokeMove(event) {
+        const stroke = strokes.get(event.pointerId);
+        if (!stroke) {
+            return;
+        }
+        
+        // Sample the way from the last position densely enough that fast strokes skip no cell
+        const point = viewport.toLocalPoint(event.clientX, event.clientY);
+        const step = Math.min(viewport.width / cols, viewport.height / rows) / 2;
+        const distance = Math.hypot(point.x - stroke.last.x, point.y - stroke.last.y);
+        const samples = step > 0 ? Math.ceil(distance / step) : 0;
+        
+        for (let i = 1; i <= samples; i++) {
+            const sample = {
+                x: stroke.last.x + (point.x - stroke.last.x) * i / samples,
+                y: stroke.last.y + (point.y - stroke.last.y) * i / samples
+            };
+            const index = getCellIndexAt(sample);
+            if (index === -1 || index === stroke.lastIndex) {
+                continue;
+            }
+            
+            // Leaving the first cell turns the press into a stroke, which paints that cell too
+            if (stroke.target === null) {
+                cancelScheduled(stroke);
+                stroke.target = true;
+                paintCell(stroke, stroke.origin, stroke.start);
+            }
+            stroke.lastIndex = index;
+            paintCell(stroke, index, sample);
+        }
+        
+        stroke.last = point;
+    }
+    
+    /**
+     * Stops tracking a pointer. A stroke or long press swallows the click that follows,
+     * and taps of further fingers, which browsers do not click for, activate their cell here.
+     * @param {PointerEvent} event - The pointer event
+     */
+    function handleStrokeEnd(event) {
+        const stroke = strokes.get(event.pointerId);
+        if (!stroke) {
+            return;
+        }
+        
+        strokes.delete(event.pointerId);
+        cancelScheduled(stroke);
+        
+        if (stroke.changes.length > 0) {
+            recordEvent('stroke', { stroke: stroke.id });
+            pushHistory(stroke.changes);
+        }
+        
+        if (stroke.target !== null) {
+            if (event.isPrimary) {
+                suppressClick = true;
+                schedule(() => {
+                    suppressClick = false;
+                }, 300);
+            }
+        } else if (!event.isPrimary && event.type === 'pointerup') {
+            const row = Math.floor(stroke.origin / cols);
+            const col = stroke.origin % cols;
+            activateCell(cells[stroke.origin], row, col, stroke.start);
+        }
+    }
+    
+    /**
+     * Keeps the click ending a stroke from toggling the cell it ended on
+     * @param {MouseEvent} event - The click event, captured before it reaches the cell
+     */
+    function handleStrokeClick(event) {
+        if (suppressClick) {
+            suppressClick = false;
+            event.stopPropagation();
+            event.preventDefault();
+        }
+    }
+    
+    /**
+     * Brings a cell crossed by a stroke to the stroke's state. Under a game mode,
+     * each cell is activated once per stroke instead.
+     * @param {Object} stroke - The stroke
+     * @param {number} index - The index of the cell
+     * @param {{x: number, y: number}} point - Where the pointer crossed the cell
+     */
+    function paintCell(stroke, index, point) {
+        const cell = cells[index];
+        const row = Math.floor(index / cols);
+        const col = index % cols;
+        
+        if (activeMode) {
+            if (!stroke.visited.has(index)) {
+                stroke.visited.add(index);
+                activateCell(cell, row, col, point);
+            }
+        } else if (isHeadingFlipped(cell) !== stroke.target) {
+            activateCell(cell, row, col, point, stroke);
+        }
+    }
+    
+    /**
+     * Returns the cell under a point, from the grid layout
+     * @param {{x: number, y: number}} point - Coordinates relative to the container
+     * @return {number} The index of the cell, or -1 outside the grid
+     */
+    function getCellIndexAt(point) {
+        const row = Math.floor(point.y * rows / viewport.height);
+        const col = Math.floor(point.x * cols / viewport.width);
+        return row >= 0 && row < rows && col >= 0 && col < cols ? row * cols + col : -1;
+    }
+    
+    /**
+     * Responds to a cell being clicked or activated by keyboard,
+     * letting the active game mode decide what happens
+     * @param {HTMLElement} cell - The cell element
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     * @param {{x: number, y: number}} [point] - Where the cell was hit, relative to the container;
+     * effects start from the cell center without it
+     * @param {Object} [stroke] - The paint stroke the activation is part of, undone as a whole
+     */
+    function activateCell(cell, row, col, point = null, stroke = null) {
+        // Clicks would throw a replay off course
+        if (activeReplay) {
+            return;
+        }
+        
+        recordEvent('activate', stroke ? { row, col, stroke: stroke.id } : { row, col });
+        runActivation(cell, row, col, point, stroke ? stroke.changes : null);
+    }
+    
+    /**
+     * Carries out a cell activation, from a person or from a replay
+     * @param {HTMLElement} cell - The cell element
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     * @param {{x: number, y: number}} [point] - Where the cell was hit, relative to the container
+     * @param {Array} [changes] - Collects the change for one history entry of a whole stroke,
+     * instead of adding an entry of its own
+     */
+    function runActivation(cell, row, col, point = null, changes = null) {
+        if (activeMode) {
+            activeMode.activate(row, col);
+        } else if (toggleCell(cell, row, col, { point })) {
+            const flipped = isHeadingFlipped(cell);
+            const change = { index: row * cols + col, from: !flipped, to: flipped };
+            if (changes) {
+                changes.push(change);
+            } else {
+                pushHistory([change]);
+            }
+            if (syncConnection) {
+                syncConnection.sendFlip(row * cols + col, flipped);
+            }
+        }
+    }
+    
+    /**
+     * Flips a cell, or flips it back if it is already flipped
+     * @param {HTMLElement} cell - The cell element to toggle
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     * @param {Object} [toggleOptions] - Toggle options
+     * @param {boolean} [toggleOptions.effects=true] - Whether flipping creates the particle effects
+     * @param {Function} [toggleOptions.onDone] - Called once the cell has finished animating
+     * @param {{x: number, y: number}} [toggleOptions.point] - Where the effects start, the cell center by default
+     * @param {Function} [toggleOptions.random] - Random source for the effects and the animation of a flip a
+     * recording leaves out, such as a sequence step or a peer's flip, so it does not draw from the grid's
+     * sources and shift what a replay draws
+     * @return {boolean} Whether the toggle started, false while the cell is still animating
+     */
+    function toggleCell(cell, row, col, toggleOptions = {}) {
+        const { effects = true, onDone = null, point = null, random: ownRandom = null } = toggleOptions;
+        
+        // Position for particle effects
+        const center = point || getCellCenter(row, col);
+        
+        // Check if the cell is currently being animated
+        if (cell.dataset.animating === 'true') {
+            return false; // Skip if animation is in progress
+        }
+        
+        // Set animating flag
+        cell.dataset.animating = 'true';
+        const random = ownRandom || nextRandom();
+        
+        if (cell.classList.contains('flipped')) {
+            // If already flipped, flip back to original state
+            const animation = flipGridAnimations[animationSettings.unflip];
+            cell.style.animation = animation;
+            cell.dataset.unflipping = 'true';
+            checkAllFlipped();
+            
+            if (effects) {
+                runEffects('unflip', center.x, center.y, random, { row, col });
+            }
+            
+            // Remove flipped class after animation completes
+            whenAnimationEnds(cell, animation, () => {
+                settleCell(cell);
+                cell.classList.remove('flipped');
+                delete cell.dataset.unflipping;
+                updateCellLabel(cell, row, col);
+                cell.dataset.animating = 'false'; // Clear animating flag
+                dispatchGridEvent('cellunflip', { row, col });
+                if (onDone) onDone();
+            });
+        } else {
+            // Apply the flip animation chosen by the animation settings
+            const animation = pickFlipAnimation(row, col, random, Boolean(ownRandom));
+            cell.style.animation = animation;
+            
+            if (effects) {
+                // Run the flip effects at the click position
+                runEffects('flip', center.x, center.y, random, { row, col });
+            }
+            
+            // Add flipped class after a small delay to ensure animation starts
+            schedule(() => {
+                cell.classList.add('flipped');
+                updateCellLabel(cell, row, col);
+                dispatchGridEvent('cellflip', { row, col });
+                
+                // Check if all cells are flipped
+                checkAllFlipped();
+                
+                // Clear animating flag after animation completes
+                whenAnimationEnds(cell, animation, () => {
+                    settleCell(cell);
+                    cell.dataset.animating = 'false';
+                    if (onDone) onDone();
+                });
+            }, 50, cell);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Drops the animation a flip or unflip leaves on a cell, whose last keyframe would otherwise
+     * keep overriding the transform of the cell's state and leave its faces mirrored.
+     * The cell snaps to that transform without a transition.
+     * @param {HTMLElement} cell - The cell element
+     */
+    function settleCell(cell) {
+        cell.classList.add('settling');
+        cell.style.animation = '';
+        requestFrame(() => cell.classList.remove('settling'));
+    }
+    
+    /**
+     * Returns the center of a cell from the grid layout rather than from the cell's box,
+     * which its flip animation distorts
+     * @param {number} row - The row index
+     * @param {number} col - The column index
+     * @return {{x: number, y: number}} The center in CSS pixels relative to the container
+     */
+    function getCellCenter(row, col) {
+        return {
+            x: (col + 0.5) * viewport.width / cols,
+            y: (row + 0.5) * viewport.height / rows
+        };
+    }
+    
+    /**
+     * Normalizes an effect config, keeping the defaults for the events it leaves out
+     * @param {Object} [config] - Lists of effect names or `{name, ...params}` by event
+     * @return {Object} Lists of `{name, params}` for `flip`, `unflip` and `complete`
+     */
+    function resolveEffectConfig(config = {}) {
+        const resolved = {};
+        
+        Object.keys(defaultEffectConfig).forEach(event => {
+            const entries = config[event] !== undefined ? config[event] : defaultEffectConfig[event];
+            resolved[event] = entries.map(entry => {
+                const { name, ...params } = typeof entry === 'string' ? { name: entry } : entry;
+                if (!flipGridEffects[name]) {
+                    throw new Error(`Unknown effect "${name}"`);
+                }
+                return { name, params };
+            });
+        });
+        
+        return resolved;
+    }
+    
+    /**
+     * Runs the effects configured for an event
+     * @param {string} event - `flip`, `unflip` or `complete`
+     * @param {number} x - The x-coordinate of the effect center, relative to the container
+     * @param {number} y - The y-coordinate of the effect center, relative to the container
+     * @param {Function} random - The random number source of the effects
+     * @param {Object} [scope] - What the effects belong to
+     * @param {number} [scope.row] - The row index of the cell, for cell events
+     * @param {number} [scope.col] - The column index of the cell, for cell events
+     * @param {Object} [scope.owner] - Owner of the effects' timeouts, for `cancelScheduled`
+     * @param {HTMLElement} [scope.layer] - Element for DOM effects, the floaters container by default
+     * @param {Function} [scope.isActive] - Returns false once running animations should stop
+     */
+    function runEffects(event, x, y, random, scope = {}) {
+        // Without particles only the sounds play
+        const effects = effectProfile.scale === 0
+            ? effectConfig[event].filter(({ name }) => flipGridEffects[name].sound)
+            : effectConfig[event];
+        if (effects.length === 0) {
+            return;
+        }
+        
+        const { row, col, owner = null, layer = particlesContainer, isActive = () => true } = scope;
+        
+        // The center is kept relative to the grid size so that effects still running when
+        // the grid resizes follow it
+        const relativeX = viewport.width ? x / viewport.width : 0;
+        const relativeY = viewport.height ? y / viewport.height : 0;
+        const position = row !== undefined ? getDiagonalPosition(row, col) : 0.5;
+        const fx = {
+            event,
+            get x() {
+                return relativeX * viewport.width;
+            },
+            get y() {
+                return relativeY * viewport.height;
+            },
+            row,
+            col,
+            position,
+            hue: getThemeHue(position),
+            get width() {
+                return viewport.width;
+            },
+            get height() {
+                return viewport.height;
+            },
+            
+            // Size relative to the 600px grid the effects were designed for
+            get sizeScale() {
+                return Math.min(viewport.width, viewport.height) / 600 || 1;
+            },
+            theme,
+            profile: effectProfile,
+            canvas,
+            sound: owner ? createOwnedSoundLayer(owner) : soundLayer,
+            layer,
+            spawn: particleEngine.spawn,
+            addAnimation: step => particleEngine.addAnimation((ctx, elapsed) => isActive() && step(ctx, elapsed)),
+            stagger: (count, interval, callback) => stagger(count, interval, callback, isActive),
+            schedule: (callback, delay) => schedule(callback, delay, owner),
+            scaledCount,
+            getThemeHue,
+            random,
+            randomInRange: range => randomInRange(range, random),
+            
+            // Derived from the context instead of copying it, which would freeze the getters
+            run: (name, params = {}, overrides = {}) => runEffect(
+                Object.defineProperties(Object.create(fx), Object.getOwnPropertyDescriptors(overrides)),
+                name,
+                params
+            )
+        };
+        
+        effects.forEach(({ name, params }) => runEffect(fx, name, params));
+    }
+    
+    /**
+     * Wraps the sound layer so the sounds played through it can be stopped with their owner
+     * @param {Object} owner - The owner, such as a completion celebration's
+     * @return {Object} The sound layer with a `play` that keeps the sounds it starts
+     */
+    function createOwnedSoundLayer(owner) {
+        return {
+            ...soundLayer,
+            play: (name, params) => {
+                const handle = soundLayer.play(name, params);
+                if (handle) {
+                    if (!ownedSounds.has(owner)) {
+                        ownedSounds.set(owner, []);
+                    }
+                    ownedSounds.get(owner).push(handle);
+                }
+                return handle;
+            }
+        };
+    }
+    
+    /**
+     * Stops the sounds still playing for an owner
+     * @param {Object} owner - The owner
+     */
+    function stopOwnedSounds(owner) {
+        (ownedSounds.get(owner) || []).forEach(handle => handle.stop());
+        ownedSounds.delete(owner);
+    }
+    
+    /**
+     * Runs one effect, reporting its errors as `effecterror` events without interrupting the flip that triggered it;
+     * failing sounds are reported the same way, with the `sound` name in place of the `effect`
+     * @param {Object} fx - The effect context
+     * @param {string} name - The effect name
+     * @param {Object} params - Parameters over the effect's defaults
+     */
+    function runEffect(fx, name, params) {
+        const { effect, defaults } = flipGridEffects[name];
+        try {
+            effect(fx, { ...defaults, ...params });
+        } catch (error) {
+            dispatchGridEvent('effecterror', { effect: name, error });
+        }
+    }
+    
+    /**
+     * Chooses the effects run on flip, unflip and completion
+     * @param {Object} config - Lists of effect names or `{name, ...params}` by event;
+     * events left out keep the default effects
+     */
+    function setEffectConfig(config) {
+        effectConfig = resolveEffectConfig(config);
+    }
+    
+    /**
+     * Normalizes animation settings
+     * @param {string|Object} [settings] - A selection (`random`, `position` or `seeded`), an animation
+     * name to always use, or `{select, name, set, seed, unflip}`
+     * @return {Object} The settings with every field filled in
+     */
+    function resolveAnimationSettings(settings = {}) {
+        const resolved = typeof settings === 'string'
+            ? (['random', 'position', 'seeded'].includes(settings) ? { select: settings } : { select: 'fixed', name: settings })
+            : { ...settings };
+        
+        resolved.select = resolved.select || (resolved.name ? 'fixed' : 'random');
+        resolved.set = resolved.set || defaultFlipAnimationSet;
+        resolved.unflip = resolved.unflip || 'rotate-back';
+        resolved.seed = resolved.seed !== undefined ? resolved.seed : 0;
+        
+        if (!['random', 'fixed', 'position', 'seeded'].includes(resolved.select)) {
+            throw new Error(`Unknown animation selection "${resolved.select}"`);
+        }
+        [resolved.name, resolved.unflip, ...resolved.set].forEach(name => {
+            if (name !== undefined && !flipGridAnimations[name]) {
+                throw new Error(`Unknown animation "${name}"`);
+            }
+        });
+        
+        return resolved;
+    }
+    
+    /**
+     * Chooses how flipping cells are animated
+     * @param {string|Object} settings - A selection (`random`, `position` or `seeded`), an animation name
+     * to always use, or `{select, name, set, seed, unflip}`: `set` lists the names picked from (the six
+     * built-in flips by default), `position` picks by the cell's diagonal, `seeded` picks the same
+     * series of animations for the same `seed`, and `unflip` names the animation used to flip back
+     */
+    function setAnimation(settings) {
+        animationSettings = resolveAnimationSettings(settings);
+        animationRandom = createRandom(animationSettings.seed);
+    }
+    
+    /**
+     * Returns the CSS animation for flipping a cell, following the animation settings
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     * @param {Function} random - The random number source of the flip
+     * @param {boolean} [unrecorded=false] - Whether the flip is left out of recordings, and so picks
+     * from its own source even under seeded selection
+     * @return {string} The CSS `animation` value
+     */
+    function pickFlipAnimation(row, col, random, unrecorded = false) {
+        const { select, name, set } = animationSettings;
+        
+        if (select === 'fixed') {
+            return flipGridAnimations[name];
+        }
+        if (select === 'position') {
+            return flipGridAnimations[set[(row + col) % set.length]];
+        }
+        
+        const source = select === 'seeded' && !unrecorded ? animationRandom : random;
+        return flipGridAnimations[set[Math.floor(source() * set.length)]];
+    }
+    
+    /**
+     * Runs a callback once every animation of a cell has ended.
+     * The cell's `animationend` events drive it, with a fallback timeout a little past the expected
+     * end in case they never fire, e.g. while the cell is hidden. `cancelScheduled` cancels it.
+     * @param {HTMLElement} cell - The animating cell
+     * @param {string} animation - The CSS `animation` value the cell is running
+     * @param {Function} callback - Called once when the animations have ended
+     */
+    function whenAnimationEnds(cell, animation, callback) {
+        const endTimes = getAnimationEndTimes(animation);
+        let pending = endTimes.length;
+        
+        const finish = () => {
+            stopWaiting(cell);
+            callback();
+        };
+        const handleAnimationEnd = (e) => {
+            if (e.target === cell && --pending === 0) {
+                finish();
+            }
+        };
+        
+        cell.addEventListener('animationend', handleAnimationEnd);
+        const fallbackId = schedule(finish, Math.max(...endTimes) + 250, cell);
+        animationWaits.set(cell, () => {
+            cell.removeEventListener('animationend', handleAnimationEnd);
+            clearTimeout(fallbackId);
+            timers.delete(fallbackId);
+        });
+    }
+    
+    /**
+     * Stops waiting for the animations of a cell
+     * @param {HTMLElement} cell - The cell
+     */
+    function stopWaiting(cell) {
+        const cleanup = animationWaits.get(cell);
+        if (cleanup) {
+            cleanup();
+            animationWaits.delete(cell);
+        }
+    }
+    
+    /**
+     * Generates a semi-transparent HSLA color along the theme's gradient for a cell.
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     * @param {Function} random - The random number source
+     * @return {string} An HSLA color string with the hue at the cell's diagonal position and
+     * a random saturation and lightness within the theme's cell ranges.
+     */
+    function getGradientColor(row, col, random) {
+        // Calculate hue based on position in the grid
+        // This ensures the colors flow properly across the grid
+        const hue = getThemeHue(getDiagonalPosition(row, col));
+        
+        // Add some randomness to saturation and lightness
+        const saturation = randomInRange(theme.cell.saturation, random);
+        const lightness = randomInRange(theme.cell.lightness, random);
+        const alpha = 0.9; // High alpha for better visibility
+        
+        return `hsla(${hue}, ${saturation}%, ${lightness}%, ${alpha})`;
+    }
+    
+    /**
+     * Checks if all grid cells are flipped, entering the completion celebration when they just
+     * became so and tearing it down when they no longer are
+     */
+    function checkAllFlipped() {
+        // Cells on their way back count as unflipped already
+        const allFlipped = cells.every(cell => cell.classList.contains('flipped') && !cell.dataset.unflipping);
+        
+        // Modes that only display data have nothing to celebrate
+        if (allFlipped && !completion && !(activeMode && activeMode.completion === false)) {
+            enterCompletion();
+        } else if (!allFlipped && completion) {
+            leaveCompletion('unflip');
+        }
+    }
+    
+    /**
+     * Starts the completion celebration: the pulsing grid and the completion effects, for the
+     * configured duration. A celebration starting within the cooldown of the previous one waits
+     * for the cooldown to pass, so quickly re-completing the grid cannot stack finales.
+     */
+    function enterCompletion() {
+        const layer = document.createElement('div');
+        layer.classList.add('completion-layer');
+        particlesContainer.appendChild(layer);
+        
+        // Timeouts of this celebration are owned by it, so they go with it
+        const celebration = { state: 'entered', owner: {}, layer };
+        completion = celebration;
+        
+        // Add a pulsing effect to the entire grid when all cells are flipped
+        if (effectProfile.gridPulse) {
+            gridContainer.style.animation = 'pulse 2s infinite';
+        }
+        
+        const startEffects = () => {
+            lastCelebrationTime = Date.now();
+            
+            // Run the completion effects from the center of the grid
+            runEffects('complete', viewport.width / 2, viewport.height / 2, nextRandom(), {
+                owner: celebration.owner,
+                layer,
+                isActive: () => completion === celebration && celebration.state === 'entered'
+            });
+        };
+        
+        const wait = lastCelebrationTime + completionSettings.cooldown - Date.now();
+        if (wait > 0) {
+            schedule(startEffects, wait, celebration.owner);
+        } else {
+            startEffects();
+        }
+        schedule(() => leaveCompletion('timeout'), completionSettings.duration, celebration.owner);
+        
+        announce('All cells revealed');
+        dispatchGridEvent('gridcomplete');
+    }
+    
+    /**
+     * Ends the completion celebration, removing its floaters, pulse, timeouts and animations.
+     * After a timeout the grid stays complete in the `exited` state; otherwise it is incomplete again.
+     * @param {string} reason - `timeout`, `unflip`, `restore`, `reset` or `destroy`
+     */
+    function leaveCompletion(reason) {
+        if (!completion) {
+            return;
+        }
+        
+        const wasEntered = completion.state === 'entered';
+        if (wasEntered) {
+            cancelScheduled(completion.owner);
+            stopOwnedSounds(completion.owner);
+            completion.layer.remove();
+            gridContainer.style.animation = '';
+        }
+        
+        completion = reason === 'timeout' ? { state: 'exited' } : null;
+        if (wasEntered) {
+            dispatchGridEvent('completionexit', { reason });
+        }
+    }
+    
+    /**
+     * Returns where the grid is in the completion lifecycle
+     * @return {string} `incomplete`, `entered` while celebrating, or `exited` once the celebration is over
+     */
+    function getCompletionState() {
+        return completion ? completion.state : 'incomplete';
+    }
+    
+    /**
+     * Calls a callback a number of times at a fixed interval, driven by the particle engine's loop
+     * rather than one timeout per call
+     * @param {number} count - The number of calls
+     * @param {number} interval - The milliseconds between calls
+     * @param {Function} callback - Called with the call index
+     * @param {Function} [isActive] - Returns false to stop before all calls were made
+     */
+    function stagger(count, interval, callback, isActive = () => true) {
+        let elapsedTotal = 0;
+        let next = 0;
+        
+        particleEngine.addAnimation((ctx, elapsed) => {
+            if (!isActive()) {
+                return false;
+            }
+            for (; next < count && next * interval <= elapsedTotal; next++) {
+                callback(next);
+            }
+            elapsedTotal += elapsed;
+            return next < count;
+        });
+    }
+    
+    /**
+     * Returns the cell at the given position
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     * @return {HTMLElement|null} The cell, or null when the position is outside the grid
+     */
+    function getCell(row, col) {
+        if (row < 0 || row >= rows || col < 0 || col >= cols) {
+            return null;
+        }
+        return cells[row * cols + col] || null;
+    }
+    
+    /**
+     * Flips or unflips the cell at the given position, exactly as a click would: it is undoable and
+     * shared, and under a game mode the mode decides what activating the cell does
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     * @param {boolean} [force] - If given, only flip (true) or only unflip (false)
+     * @return {boolean} Whether the cell started changing
+     */
+    function flip(row, col, force) {
+        const cell = getCell(row, col);
+        if (!cell || (force !== undefined && cell.classList.contains('flipped') === force)) {
+            return false;
+        }
+        
+        recordEvent('flip', { row, col, force: force === undefined ? null : force });
+        const wasHeadingFlipped = isHeadingFlipped(cell);
+        runActivation(cell, row, col);
+        return isHeadingFlipped(cell) !== wasHeadingFlipped;
+    }
+    
+    /**
+     * Flips every unflipped cell in a diagonal wave
+     * @return {number} The number of cells changing
+     */
+    function flipAll() {
+        return bulk('flipAll');
+    }
+    
+    /**
+     * Flips every flipped cell back in a diagonal wave
+     * @return {number} The number of cells changing
+     */
+    function unflipAll() {
+        return bulk('unflipAll');
+    }
+    
+    /**
+     * Flips every unflipped cell and flips every flipped cell back, in a diagonal wave
+     * @return {number} The number of cells changing
+     */
+    function invert() {
+        return bulk('invert');
+    }
+    
+    /**
+     * Flips a row, or flips it back when it is all flipped already
+     * @param {number} row - The row index
+     * @return {number} The number of cells changing
+     */
+    function flipRow(row) {
+        return bulk('flipRect', [row, 0, row, cols - 1]);
+    }
+    
+    /**
+     * Flips a column, or flips it back when it is all flipped already
+     * @param {number} col - The column index
+     * @return {number} The number of cells changing
+     */
+    function flipColumn(col) {
+        return bulk('flipRect', [0, col, rows - 1, col]);
+    }
+    
+    /**
+     * Flips a rectangle of cells between two corners, or flips it back when it is all flipped already
+     * @param {number} fromRow - The row index of one corner
+     * @param {number} fromCol - The column index of one corner
+     * @param {number} toRow - The row index of the opposite corner
+     * @param {number} toCol - The column index of the opposite corner
+     * @return {number} The number of cells changing
+     */
+    function flipRect(fromRow, fromCol, toRow, toCol) {
+        return bulk('flipRect', [fromRow, fromCol, toRow, toCol]);
+    }
+    
+    /**
+     * Records and runs a bulk operation; replays run them without recording.
+     * Nothing changes while a game mode is active, as the mode's rules decide how cells change.
+     * @param {string} operation - `flipAll`, `unflipAll`, `invert` or `flipRect`
+     * @param {number[]} [args] - The operation's arguments
+     * @return {number} The number of cells changing
+     */
+    function bulk(operation, args = []) {
+        if (activeReplay || activeMode) {
+            return 0;
+        }
+        
+        recordEvent('bulk', { operation, args });
+        return runBulk(operation, args);
+    }
+    
+    /**
+     * Carries out a bulk operation as one undoable change with one effect burst
+     * @param {string} operation - `flipAll`, `unflipAll`, `invert` or `flipRect`
+     * @param {number[]} args - The operation's arguments
+     * @return {number} The number of cells changing
+     */
+    function runBulk(operation, args) {
+        let targets;
+        
+        if (operation === 'flipRect') {
+            const [fromRow, fromCol, toRow, toCol] = args.map(Number);
+            const indices = [];
+            for (let row = Math.max(0, Math.min(fromRow, toRow)); row <= Math.min(rows - 1, Math.max(fromRow, toRow)); row++) {
+                for (let col = Math.max(0, Math.min(fromCol, toCol)); col <= Math.min(cols - 1, Math.max(fromCol, toCol)); col++) {
+                    indices.push(row * cols + col);
+                }
+            }
+            
+            const allFlipped = indices.every(index => isHeadingFlipped(cells[index]));
+            targets = indices.map(index => ({ index, to: !allFlipped }));
+        } else if (operation === 'flipAll' || operation === 'unflipAll' || operation === 'invert') {
+            targets = cells.map((cell, index) => ({
+                index,
+                to: operation === 'invert' ? !isHeadingFlipped(cell) : operation === 'flipAll'
+            }));
+        } else {
+            throw new Error(`Unknown bulk operation "${operation}"`);
+        }
+        
+        const changes = targets
+            .filter(({ index, to }) => isHeadingFlipped(cells[index]) !== to)
+            .map(({ index, to }) => ({ index, from: !to, to }));
+        
+        pushHistory(changes);
+        animateChanges(changes);
+        return changes.length;
+    }
+    
+    /**
+     * Animates cells to new states as a flip sequence sweeping diagonally across them.
+     * A single cell keeps its own effects; more share one burst at their center.
+     * @param {Array<{index: number, to: boolean}>} changes - The cells and their new states
+     */
+    function animateChanges(changes) {
+        if (changes.length === 0) {
+            return;
+        }
+        
+        const positions = changes.map(({ index, to }) => ({ row: Math.floor(index / cols), col: index % cols, flip: to }));
+        const firstDiagonal = Math.min(...positions.map(({ row, col }) => row + col));
+        const keyframes = positions.map(position => ({ ...position, at: (position.row + position.col - firstDiagonal) * 50 }));
+        
+        // Finished sequences no longer need stopping on reset
+        bulkSequences.forEach(running => {
+            if (!running.isPlaying()) {
+                bulkSequences.delete(running);
+            }
+        });
+        
+        const sequence = createSequence(keyframes, { effects: changes.length === 1 }, true);
+        bulkSequences.add(sequence);
+        sequence.play();
+        
+        if (changes.length > 1) {
+            const center = positions.reduce((sum, { row, col }) => {
+                const point = getCellCenter(row, col);
+                return { x: sum.x + point.x / positions.length, y: sum.y + point.y / positions.length };
+            }, { x: 0, y: 0 });
+            const row = Math.round(positions.reduce((sum, position) => sum + position.row, 0) / positions.length);
+            const col = Math.round(positions.reduce((sum, position) => sum + position.col, 0) / positions.length);
+            const event = changes.every(({ to }) => !to) ? 'unflip' : 'flip';
+            runEffects(event, center.x, center.y, nextRandom(), { row, col });
+        }
+        
+        if (syncConnection) {
+            changes.forEach(({ index, to }) => syncConnection.sendFlip(index, to));
+        }
+    }
+    
+    /**
+     * Adds a change people made to the undo history, outside game modes, which keep their own rules.
+     * A new change can no longer be followed by a redo.
+     * @param {Array<{index: number, from: boolean, to: boolean}>} changes - The changed cells
+     */
+    function pushHistory(changes) {
+        if (changes.length === 0 || activeMode) {
+            return;
+        }
+        
+        undoStack.push(changes);
+        if (undoStack.length > historyLimit) {
+            undoStack.shift();
+        }
+        redoStack.length = 0;
+        dispatchGridEvent('historychange', { canUndo: true, canRedo: false });
+    }
+    
+    /**
+     * Forgets the undo history, e.g. once the whole grid was set at once
+     */
+    function clearHistory() {
+        if (undoStack.length > 0 || redoStack.length > 0) {
+            undoStack.length = 0;
+            redoStack.length = 0;
+            dispatchGridEvent('historychange', { canUndo: false, canRedo: false });
+        }
+        bulkSequences.forEach(sequence => sequence.stop());
+        bulkSequences.clear();
+    }
+    
+    /**
+     * Takes back the last change made by clicking, key presses or a bulk operation
+     * @return {boolean} Whether there was a change to undo
+     */
+    function undo() {
+        if (activeReplay) {
+            return false;
+        }
+        
+        recordEvent('undo');
+        return stepHistory(undoStack, redoStack, 'from');
+    }
+    
+    /**
+     * Makes the last undone change again
+     * @return {boolean} Whether there was a change to redo
+     */
+    function redo() {
+        if (activeReplay) {
+            return false;
+        }
+        
+        recordEvent('redo');
+        return stepHistory(redoStack, undoStack, 'to');
+    }
+    
+    /**
+     * Moves a change from one history stack to the other, animating its cells to one of its sides
+     * @param {Array} source - The stack to take the change from
+     * @param {Array} destination - The stack to put it on
+     * @param {string} side - `from` to undo the change, `to` to redo it
+     * @return {boolean} Whether there was a change to move
+     */
+    function stepHistory(source, destination, side) {
+        const changes = source.pop();
+        if (!changes) {
+            return false;
+        }
+        
+        destination.push(changes);
+        animateChanges(changes.map(change => ({ index: change.index, to: change[side] })));
+        dispatchGridEvent('historychange', { canUndo: undoStack.length > 0, canRedo: redoStack.length > 0 });
+        return true;
+    }
+    
+    /**
+     * Returns whether there are changes to undo and to redo
+     * @return {{canUndo: boolean, canRedo: boolean}}
+     */
+    function getHistoryState() {
+        return { canUndo: undoStack.length > 0, canRedo: redoStack.length > 0 };
+    }
+    
+    /**
+     * Creates a player for a flip sequence, paused at its start.
+     * Each keyframe flips (`flip: true`), unflips (`flip: false`) or toggles its cell when the playhead
+     * passes `at`. A keyframe landing on a cell that is still animating waits for it to finish.
+     * Seeking sets the cells instantly to where the sequence would have them at that time, starting
+     * from the state they were in when the current pass began.
+     * @param {string|Array} pattern - A registered pattern name, or `{row, col, at, flip}` keyframes
+     * @param {Object} [sequenceOptions] - Sequence options, the rest are passed to the pattern
+     * @param {string} [sequenceOptions.action='toggle'] - What keyframes without `flip` do:
+     * `toggle`, `flip` or `unflip`
+     * @param {number} [sequenceOptions.speed=1] - The playback rate
+     * @param {boolean} [sequenceOptions.loop=false] - Whether to start over at the end, best with `toggle`
+     * @param {boolean} [sequenceOptions.effects=false] - Whether flips create the particle effects
+     * @param {boolean} [recorded=false] - Whether a replay repeats the sequence, as it does those of bulk
+     * operations and undos; other sequences are not recorded, so their flips draw from a random stream
+     * of their own
+     * @return {Object} The player with `play`, `pause`, `seek`, `stop`, `setSpeed`, `setLoop`,
+     * `getTime` and `isPlaying` methods and the `duration` in milliseconds
+     */
+    function createSequence(pattern, sequenceOptions = {}, recorded = false) {
+        const { action = 'toggle', speed: initialSpeed = 1, loop: initialLoop = false, effects = false, ...patternOptions } = sequenceOptions;
+        
+        if (typeof pattern === 'string' && !flipGridPatterns[pattern]) {
+            throw new Error(`Unknown pattern "${pattern}"`);
+        }
+        if (!['toggle', 'flip', 'unflip'].includes(action)) {
+            throw new Error(`Unknown sequence action "${action}"`);
+        }
+        
+        const source = typeof pattern === 'string' ? flipGridPatterns[pattern](rows, cols, patternOptions) : pattern;
+        const keyframes = source
+            .filter(keyframe => getCell(keyframe.row, keyframe.col))
+            .map(keyframe => ({
+                index: keyframe.row * cols + keyframe.col,
+                at: Math.max(0, keyframe.at || 0),
+                flip: keyframe.flip !== undefined ? keyframe.flip : { toggle: null, flip: true, unflip: false }[action]
+            }))
+            .sort((a, b) => a.at - b.at);
+        const duration = keyframes.length > 0 ? keyframes[keyframes.length - 1].at : 0;
+        
+        let speed = initialSpeed;
+        let loop = initialLoop;
+        let time = 0;
+        let nextKeyframe = 0;
+        let playing = false;
+        let lastFrameTime = null;
+        let frameId = null;
+        
+        // State of the cells when the current pass began, null until it begins
+        let passStart = null;
+        
+        const random = recorded ? null : createRandom(`${randomSeed}:sequence:${sequenceCount++}`);
+        
+        // Cells waiting to reach a state, by index
+        const targets = new Map();
+        
+        /**
+         * Returns the state a cell is in or on its way to
+         * @param {number} index - The index of the cell
+         * @return {boolean} Whether the cell is or will be flipped
+         */
+        function getIntended(index) {
+            return targets.has(index) ? targets.get(index) : isHeadingFlipped(cells[index]);
+        }
+        
+        /**
+         * Queues the keyframes the playhead has passed
+         */
+        function applyPassedKeyframes() {
+            while (nextKeyframe < keyframes.length && keyframes[nextKeyframe].at <= time) {
+                const { index, flip: target } = keyframes[nextKeyframe];
+                targets.set(index, target === null ? !getIntended(index) : target);
+                nextKeyframe++;
+            }
+        }
+        
+        /**
+         * Starts the flips of the cells that are free to move toward their target
+         */
+        function driveTargets() {
+            targets.forEach((target, index) => {
+                const cell = cells[index];
+                
+                if (isHeadingFlipped(cell) === target) {
+                    targets.delete(index);
+                } else if (cell.dataset.animating !== 'true') {
+                    toggleCell(cell, Math.floor(index / cols), index % cols, { effects, random });
+                    targets.delete(index);
+                }
+            });
+        }
+        
+        /**
+         * Advances the playhead by the frame's elapsed time
+         * @param {number} now - The frame timestamp
+         */
+        function tick(now) {
+            frameId = null;
+            
+            if (playing) {
+                if (lastFrameTime !== null) {
+                    time += (now - lastFrameTime) * speed;
+                }
+                lastFrameTime = now;
+                applyPassedKeyframes();
+                
+                if (time >= duration) {
+                    if (loop && duration > 0) {
+                        time %= duration;
+                        nextKeyframe = 0;
+                        passStart = cells.map((cell, index) => getIntended(index));
+                        dispatchGridEvent('sequenceloop', { duration });
+                        applyPassedKeyframes();
+                    } else {
+                        time = duration;
+                        playing = false;
+                        sequences.delete(player);
+                        dispatchGridEvent('sequenceend', { duration });
+                    }
+                }
+            }
+            
+            driveTargets();
+            
+            // Keep running after the end until the last flips have started
+            if (playing || targets.size > 0) {
+                frameId = requestFrame(tick);
+            }
+        }
+        
+        /**
+         * Starts or resumes playback, from the beginning once the sequence has ended
+         */
+        function play() {
+            if (playing) {
+                return;
+            }
+            if (time >= duration && nextKeyframe === keyframes.length) {
+                time = 0;
+                nextKeyframe = 0;
+                passStart = null;
+            }
+            if (passStart === null) {
+                passStart = cells.map((cell, index) => getIntended(index));
+            }
+            
+            playing = true;
+            lastFrameTime = null;
+            sequences.add(player);
+            if (frameId === null) {
+                frameId = requestFrame(tick);
+            }
+        }
+        
+        /**
+         * Pauses playback, flips already started still finish
+         */
+        function pause() {
+            playing = false;
+            sequences.delete(player);
+        }
+        
+        /**
+         * Moves the playhead, setting the sequence's cells to their state at that time without animating
+         * @param {number} position - The time in milliseconds from the start of the pass
+         */
+        function seek(position) {
+            if (passStart === null) {
+                passStart = cells.map((cell, index) => getIntended(index));
+            }
+            
+            time = Math.min(Math.max(position, 0), duration);
+            lastFrameTime = null;
+            targets.clear();
+            
+            const flags = passStart.slice();
+            nextKeyframe = 0;
+            while (nextKeyframe < keyframes.length && keyframes[nextKeyframe].at <= time) {
+                const { index, flip: target } = keyframes[nextKeyframe];
+                flags[index] = target === null ? !flags[index] : target;
+                nextKeyframe++;
+            }
+            
+            // Only the cells the sequence touches are set, the rest keep their state
+            gridContainer.classList.add('restoring');
+            new Set(keyframes.map(keyframe => keyframe.index)).forEach(index => {
+                setCellFlippedInstantly(cells[index], index, flags[index]);
+            });
+            requestFrame(() => gridContainer.classList.remove('restoring'));
+        }
+        
+        /**
+         * Stops playback and drops the flips waiting for their cell, leaving the cells as they are
+         */
+        function stop() {
+            pause();
+            targets.clear();
+            if (frameId !== null) {
+                cancelAnimationFrame(frameId);
+                frames.delete(frameId);
+                frameId = null;
+            }
+            time = 0;
+            nextKeyframe = 0;
+            passStart = null;
+        }
+        
+        const player = {
+            duration,
+            play,
+            pause,
+            seek,
+            stop,
+            setSpeed: value => {
+                speed = Math.max(0, value);
+            },
+            setLoop: value => {
+                loop = Boolean(value);
+            },
+            getTime: () => time,
+            isPlaying: () => playing
+        };
+        return player;
+    }
+    
+    /**
+     * Creates a flip sequence and starts playing it
+     * @param {string|Array} pattern - A registered pattern name, or `{row, col, at, flip}` keyframes
+     * @param {Object} [sequenceOptions] - Options, see `createSequence`
+     * @return {Object} The playing sequence
+     */
+    function play(pattern, sequenceOptions) {
+        const sequence = createSequence(pattern, sequenceOptions);
+        sequence.play();
+        return sequence;
+    }
+    
+    /**
+     * Shares the grid with everyone connected to the same room of a relay (see `relay-server.js`).
+     * Cells flipped by clicks or keys here are flipped everywhere, with their effects, and the
+     * pointer of every other person in the room is shown as a named cursor. When two people flip
+     * the same cell at once the relay keeps the first flip and the other grid follows it.
+     * Game modes are not shared; while one is active only the cursors are.
+     * A new room starts from this grid's state, joining an existing room adopts the room's state.
+     * Dropped connections are retried until `disconnect` is called.
+     * @param {string} url - The relay's WebSocket URL, e.g. `ws://localhost:8787`
+     * @param {Object} [syncOptions] - Connection options
+     * @param {string} [syncOptions.room='default'] - The room to join
+     * @param {string} [syncOptions.name] - The name shown next to this person's cursor
+     * @return {Object} The connection with `disconnect`, `getPeers` and `getId` methods
+     */
+    function connect(url, syncOptions = {}) {
+        if (syncConnection) {
+            syncConnection.disconnect();
+        }
+        
+        const { room = 'default', name = '' } = syncOptions;
+        const versions = new Array(cells.length).fill(0);
+        const peers = new Map();
+        
+        // Remote states waiting for their cell to finish animating, by index
+        const pendingFlips = new Map();
+        let pendingFrameId = null;
+        
+        // Peers' flips are not recorded, so they draw from a random stream of their own
+        const peerRandom = createRandom(`${randomSeed}:peers`);
+        
+        let socket = null;
+        let clientId = null;
+        let closed = false;
+        let retryDelay = 1000;
+        let retryTimer = null;
+        let lastCursorTime = 0;
+        
+        /**
+         * Opens the socket and joins the room
+         */
+        function open() {
+            socket = new WebSocket(url);
+            
+            socket.addEventListener('open', () => {
+                retryDelay = 1000;
+                send({ type: 'join', room, name, rows, cols, flipped: cells.map(isHeadingFlipped) });
+            });
+            socket.addEventListener('message', e => {
+                let message;
+                try {
+                    message = JSON.parse(e.data);
+                } catch (error) {
+                    return;
+                }
+                handleMessage(message);
+            });
+            socket.addEventListener('close', () => {
+                clientId = null;
+                peers.forEach(peer => peer.element.remove());
+                peers.clear();
+                dispatchGridEvent('syncclose');
+                
+                if (!closed) {
+                    retryTimer = schedule(open, retryDelay);
+                    retryDelay = Math.min(retryDelay * 2, 30000);
+                }
+            });
+        }
+        
+        /**
+         * Sends a message once the socket is open
+         * @param {Object} message - The message, sent as JSON
+         */
+        function send(message) {
+            if (socket && socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify(message));
+            }
+        }
+        
+        /**
+         * Handles a message from the relay
+         * @param {Object} message - The parsed message
+         */
+        function handleMessage(message) {
+            if (message.type === 'welcome') {
+                clientId = message.id;
+                message.versions.forEach((version, index) => {
+                    versions[index] = version;
+                });
+                
+                // Adopt the room's state without replaying it
+                const differing = cells.filter((cell, index) => isHeadingFlipped(cell) !== Boolean(message.flipped[index]));
+                if (differing.length > 0) {
+                    gridContainer.classList.add('restoring');
+                    differing.forEach(cell => {
+                        const index = cells.indexOf(cell);
+                        setCellFlippedInstantly(cell, index, Boolean(message.flipped[index]));
+                    });
+                    requestFrame(() => gridContainer.classList.remove('restoring'));
+                    checkAllFlipped();
+                }
+                
+                message.peers.forEach(addPeer);
+                dispatchGridEvent('syncopen', { id: clientId, peers: getPeers() });
+            } else if (message.type === 'flip') {
+                versions[message.index] = message.version;
+                if (message.by !== clientId) {
+                    moveCell(message.index, message.flipped);
+                }
+            } else if (message.type === 'reject') {
+                // Someone else changed the cell first, follow their state
+                versions[message.index] = message.version;
+                moveCell(message.index, message.flipped);
+                dispatchGridEvent('syncconflict', {
+                    row: Math.floor(message.index / cols),
+                    col: message.index % cols,
+                    flipped: message.flipped
+                });
+            } else if (message.type === 'reset') {
+                message.versions.forEach((version, index) => {
+                    versions[index] = version;
+                });
+                if (message.by !== clientId) {
+                    pendingFlips.clear();
+                    applyingRemoteReset = true;
+                    reset();
+                    applyingRemoteReset = false;
+                }
+            } else if (message.type === 'peer') {
+                addPeer(message);
+                dispatchGridEvent('peerjoin', { id: message.id, name: message.name });
+            } else if (message.type === 'leave') {
+                const peer = peers.get(message.id);
+                if (peer) {
+                    peer.element.remove();
+                    peers.delete(message.id);
+                    dispatchGridEvent('peerleave', { id: message.id, name: peer.name });
+                }
+            } else if (message.type === 'cursor') {
+                moveCursor(message.id, message.x, message.y);
+            } else if (message.type === 'error') {
+                // The relay turned this grid away, so it is not shared any more
+                disconnect();
+                dispatchGridEvent('syncerror', { message: message.message });
+            }
+        }
+        
+        /**
+         * Flips or unflips a cell with its effects, after any animation it is running
+         * @param {number} index - The index of the cell
+         * @param {boolean} flipped - The state to reach
+         */
+        function moveCell(index, flipped) {
+            pendingFlips.set(index, Boolean(flipped));
+            if (pendingFrameId === null) {
+                drivePendingFlips();
+            }
+        }
+        
+        /**
+         * Starts the flips of the cells that are free to move, checking again each frame until all have
+         */
+        function drivePendingFlips() {
+            pendingFrameId = null;
+            
+            pendingFlips.forEach((flipped, index) => {
+                const cell = cells[index];
+                if (isHeadingFlipped(cell) === flipped) {
+                    pendingFlips.delete(index);
+                } else if (cell.dataset.animating !== 'true') {
+                    toggleCell(cell, Math.floor(index / cols), index % cols, { random: peerRandom });
+                    pendingFlips.delete(index);
+                }
+            });
+            
+            if (pendingFlips.size > 0) {
+                pendingFrameId = requestFrame(drivePendingFlips);
+            }
+        }
+        
+        /**
+         * Shows a cursor for a peer
+         * @param {{id: string, name: string, color: string}} peer - The peer
+         */
+        function addPeer({ id, name: peerName, color }) {
+            const element = document.createElement('div');
+            element.classList.add('presence-cursor');
+            element.style.setProperty('--peer-color', color);
+            element.hidden = true;
+            
+            const label = document.createElement('span');
+            label.classList.add('presence-name');
+            label.textContent = peerName;
+            element.appendChild(label);
+            
+            container.appendChild(element);
+            peers.set(id, { id, name: peerName, color, element });
+        }
+        
+        /**
+         * Moves a peer's cursor, hiding it when the peer's pointer left the grid
+         * @param {string} id - The peer id
+         * @param {number|null} x - The horizontal position as a fraction of the container width
+         * @param {number|null} y - The vertical position as a fraction of the container height
+         */
+        function moveCursor(id, x, y) {
+            const peer = peers.get(id);
+            if (!peer) {
+                return;
+            }
+            
+            peer.element.hidden = x === null;
+            if (x !== null) {
+                peer.element.style.left = `${x * 100}%`;
+                peer.element.style.top = `${y * 100}%`;
+            }
+        }
+        
+        /**
+         * Sends this person's pointer position, at most every 50ms
+         * @param {PointerEvent} e - The pointer event
+         */
+        function handlePointerMove(e) {
+            const now = Date.now();
+            if (now - lastCursorTime < 50) {
+                return;
+            }
+            lastCursorTime = now;
+            
+            const point = viewport.toLocalPoint(e.clientX, e.clientY);
+            send({
+                type: 'cursor',
+                x: point.x / viewport.width,
+                y: point.y / viewport.height
+            });
+        }
+        
+        /**
+         * Hides this person's cursor for the others
+         */
+        function handlePointerLeave() {
+            send({ type: 'cursor', x: null, y: null });
+        }
+        
+        /**
+         * Returns the other people in the room
+         * @return {Array<{id: string, name: string, color: string}>} The peers
+         */
+        function getPeers() {
+            return [...peers.values()].map(({ id, name: peerName, color }) => ({ id, name: peerName, color }));
+        }
+        
+        /**
+         * Leaves the room and stops reconnecting
+         */
+        function disconnect() {
+            closed = true;
+            if (retryTimer !== null) {
+                clearTimeout(retryTimer);
+                timers.delete(retryTimer);
+            }
+            if (pendingFrameId !== null) {
+                cancelAnimationFrame(pendingFrameId);
+                frames.delete(pendingFrameId);
+                pendingFrameId = null;
+            }
+            if (socket) {
+                socket.close();
+            }
+            peers.forEach(peer => peer.element.remove());
+            peers.clear();
+            
+            container.removeEventListener('pointermove', handlePointerMove);
+            container.removeEventListener('pointerleave', handlePointerLeave);
+            if (syncConnection === connection) {
+                syncConnection = null;
+            }
+        }
+        
+        container.addEventListener('pointermove', handlePointerMove);
+        container.addEventListener('pointerleave', handlePointerLeave);
+        open();
+        
+        const connection = {
+            disconnect,
+            getPeers,
+            getId: () => clientId,
+            
+            // Shares a flip made here, based on the version this grid last saw
+            sendFlip: (index, flipped) => {
+                send({ type: 'flip', index, flipped, version: versions[index] });
+                versions[index]++;
+            },
+            sendReset: () => send({ type: 'reset' })
+        };
+        syncConnection = connection;
+        return connection;
+    }
+    
+    /**
+     * Starts recording the clicks, key presses, `flip` calls, bulk operations, undos, redos and resets of the grid.
+     * A game mode in progress is restarted so the recording begins from a known board, and seeded
+     * flip animations start their series over.
+     * Flips from sequences and from a shared relay are not recorded.
+     */
+    function startRecording() {
+        // Dealing the mode's board draws from the actions too
+        const actionStart = actionCount;
+        if (activeModeName) {
+            setMode(activeModeName, activeModeOptions);
+        }
+        animationRandom = createRandom(animationSettings.seed);
+        
+        recording = {
+            version: 1,
+            rows,
+            cols,
+            seed: randomSeed,
+            actionStart,
+            animation: { ...animationSettings },
+            theme: themeName,
+            mode: activeModeName,
+            modeOptions: activeModeOptions,
+            flipped: cells.map(isHeadingFlipped),
+            startTime: Date.now(),
+            events: []
+        };
+    }
+    
+    /**
+     * Adds an event to the recording in progress, if any
+     * @param {string} type - `activate`, `stroke` (the end of a paint stroke), `flip`, `reset`, `bulk`, `undo` or `redo`
+     * @param {Object} [detail] - The event's arguments
+     */
+    function recordEvent(type, detail = {}) {
+        if (recording) {
+            recording.events.push({ t: Date.now() - recording.startTime, type, ...detail });
+        }
+    }
+    
+    /**
+     * Stops recording
+     * @return {Object|null} The recording, ready for `JSON.stringify` and `replay`,
+     * or null when nothing was being recorded
+     */
+    function stopRecording() {
+        if (!recording) {
+            return null;
+        }
+        
+        const { startTime, ...result } = recording;
+        result.duration = Date.now() - startTime;
+        recording = null;
+        return result;
+    }
+    
+    /**
+     * Replays a recording with the same timing, animations and effects.
+     * The grid is first put back in the recorded starting state, and clicks are ignored until
+     * the replay ends, which dispatches `replayend`. The grid's own seed and animation settings
+     * are used again once the replay ends or is stopped.
+     * @param {string|Object} recordingData - A recording from `stopRecording`, or its JSON
+     * @return {{stop: Function}} Control over the replay
+     */
+    function replay(recordingData) {
+        const data = typeof recordingData === 'string' ? JSON.parse(recordingData) : recordingData;
+        if (!data || data.version !== 1 || data.rows !== rows || data.cols !== cols || !Array.isArray(data.events)) {
+            throw new Error(`replay: expected a recording of a ${rows}x${cols} grid`);
+        }
+        
+        if (activeReplay) {
+            activeReplay.stop();
+        }
+        
+        // The grid's own random state, back in place after the replay
+        const saved = { randomSeed, actionCount, animationSettings, animationRandom };
+        
+        // Same seed, random streams, animations, theme and starting board as when recording began
+        randomSeed = data.seed;
+        actionCount = data.actionStart;
+        if (data.animation) {
+            animationSettings = resolveAnimationSettings(data.animation);
+        }
+        animationRandom = createRandom(animationSettings.seed);
+        if (data.theme && data.theme !== themeName && flipGridThemes[data.theme]) {
+            applyTheme(data.theme);
+        }
+        applyCellColors();
+        if (data.mode) {
+            setMode(data.mode, data.modeOptions || {});
+        } else {
+            if (activeModeName) {
+                setMode(null);
+            }
+            applyFlippedState(data.flipped);
+            checkAllFlipped();
+        }
+        
+        const replayTimers = [];
+        const replayState = {
+            stop: () => {
+                if (activeReplay !== replayState) {
+                    return;
+                }
+                
+                replayTimers.forEach(id => {
+                    clearTimeout(id);
+                    timers.delete(id);
+                });
+                activeReplay = null;
+                
+                ({ randomSeed, actionCount, animationSettings, animationRandom } = saved);
+                applyCellColors();
+            }
+        };
+        
+        // Changes of the strokes being replayed, by pointer
+        const replayStrokes = new Map();
+        
+        data.events.forEach(({ t, type, row, col, force, operation, args, stroke }) => {
+            replayTimers.push(schedule(() => {
+                if (type === 'activate' && stroke !== undefined) {
+                    if (!replayStrokes.has(stroke)) {
+                        replayStrokes.set(stroke, []);
+                    }
+                    runActivation(getCell(row, col), row, col, null, replayStrokes.get(stroke));
+                } else if (type === 'activate') {
+                    runActivation(getCell(row, col), row, col);
+                } else if (type === 'stroke') {
+                    pushHistory(replayStrokes.get(stroke) || []);
+                    replayStrokes.delete(stroke);
+                } else if (type === 'flip') {
+                    flip(row, col, force === null ? undefined : force);
+                } else if (type === 'reset') {
+                    reset();
+                } else if (type === 'bulk') {
+                    runBulk(operation, args);
+                } else if (type === 'undo') {
+                    stepHistory(undoStack, redoStack, 'from');
+                } else if (type === 'redo') {
+                    stepHistory(redoStack, undoStack, 'to');
+                }
+            }, t));
+        });
+        replayTimers.push(schedule(() => {
+            replayState.stop();
+            dispatchGridEvent('replayend');
+        }, data.duration || 0));
+        
+        activeReplay = replayState;
+        return replayState;
+    }
+    
+    /**
+     * Reads a computed CSS transform as the 2D matrix it projects to
+     * @param {string} transform - The computed `transform` value
+     * @return {number[]} The `a, b, c, d, e, f` values of the matrix
+     */
+    function parseTransform(transform) {
+        const match = /^matrix(3d)?\((.*)\)$/.exec(transform || '');
+        if (!match) {
+            return [1, 0, 0, 1, 0, 0];
+        }
+        
+        const values = match[2].split(',').map(parseFloat);
+        return match[1] ? [values[0], values[1], values[4], values[5], values[12], values[13]] : values;
+    }
+    
+    /**
+     * Draws the image or text of a cell face, centered on the current origin.
+     * Rich HTML cannot be drawn to a canvas, so only its text is.
+     * @param {CanvasRenderingContext2D} target - The context to draw to
+     * @param {HTMLElement} face - The face element
+     * @param {number} cellWidth - The cell width
+     * @param {number} cellHeight - The cell height
+     */
+    function drawFaceContent(target, face, cellWidth, cellHeight) {
+        if (!face || !face.classList.contains('has-content')) {
+            return;
+        }
+        
+        const image = face.querySelector('img');
+        if (image && image.complete && image.naturalWidth) {
+            // Contained in 80% of the cell, like the stylesheet
+            const scale = Math.min(cellWidth * 0.8 / image.naturalWidth, cellHeight * 0.8 / image.naturalHeight);
+            const imageWidth = image.naturalWidth * scale;
+            const imageHeight = image.naturalHeight * scale;
+            target.drawImage(image, -imageWidth / 2, -imageHeight / 2, imageWidth, imageHeight);
+            return;
+        }
+        
+        const text = face.textContent.trim();
+        if (text) {
+            target.font = `${cellHeight * 0.3}px sans-serif`;
+            target.textAlign = 'center';
+            target.textBaseline = 'middle';
+            target.fillStyle = '#fff';
+            target.fillText(text, 0, 0, cellWidth * 0.9);
+        }
+    }
+    
+    /**
+     * Draws the grid as it looks right now: the background, live reveal media, the cells with
+     * their current animated transforms, the particles and the completion floaters.
+     * Cell transforms are projected flat, so a 3D turn shows as its 2D outline.
+     * @param {CanvasRenderingContext2D} target - The context to draw to
+     * @param {number} width - The output width in pixels; the height follows the container's aspect ratio
+     */
+    function renderComposite(target, width) {
+        const containerWidth = container.offsetWidth;
+        const containerHeight = container.offsetHeight;
+        const scale = width / containerWidth;
+        
+        target.save();
+        target.setTransform(scale, 0, 0, scale, 0, 0);
+        
+        target.fillStyle = createCanvasGradient(target, theme.background, containerWidth, containerHeight) || theme.shadow;
+        target.fillRect(0, 0, containerWidth, containerHeight);
+        if (revealLayer) {
+            target.drawImage(revealLayer, 0, 0, containerWidth, containerHeight);
+        }
+        
+        // The revealed image spans the grid, fitted to its aspect ratio
+        let imageRect = null;
+        if (revealImage && revealMediaSize) {
+            const fit = getRevealFitSize();
+            const imageWidth = fit.width * gridContainer.offsetWidth;
+            const imageHeight = fit.height * gridContainer.offsetHeight;
+            imageRect = {
+                x: gridContainer.offsetLeft + (gridContainer.offsetWidth - imageWidth) / 2,
+                y: gridContainer.offsetTop + (gridContainer.offsetHeight - imageHeight) / 2,
+                width: imageWidth,
+                height: imageHeight
+            };
+        }
+        
+        const liveReveal = gridContainer.classList.contains('reveal-live');
+        cells.forEach(cell => {
+            // Layout position, untouched by the cell's transform
+            const cellWidth = cell.offsetWidth;
+            const cellHeight = cell.offsetHeight;
+            const centerX = gridContainer.offsetLeft + cell.offsetLeft + cellWidth / 2;
+            const centerY = gridContainer.offsetTop + cell.offsetTop + cellHeight / 2;
+            
+            target.save();
+            target.translate(centerX, centerY);
+            target.transform(...parseTransform(getComputedStyle(cell).transform));
+            
+            if (cell.classList.contains('flipped')) {
+                // The revealed face is turned around within the cell, as in the stylesheet
+                target.scale(-1, 1);
+                
+                if (!liveReveal) {
+                    target.globalAlpha = 0.9;
+                    target.fillStyle = cell.style.getPropertyValue('--cell-color') || '#000';
+                    target.fillRect(-cellWidth / 2, -cellHeight / 2, cellWidth, cellHeight);
+                    
+                    if (imageRect) {
+                        target.beginPath();
+                        target.rect(-cellWidth / 2, -cellHeight / 2, cellWidth, cellHeight);
+                        target.clip();
+                        target.drawImage(revealImage, imageRect.x - centerX, imageRect.y - centerY, imageRect.width, imageRect.height);
+                    }
+                    target.globalAlpha = 1;
+                }
+                
+                const symbol = cell.querySelector('.cell-symbol');
+                if (symbol && symbol.textContent) {
+                    target.font = `${cellHeight * 0.55}px sans-serif`;
+                    target.textAlign = 'center';
+                    target.textBaseline = 'middle';
+                    target.fillStyle = '#fff';
+                    target.fillText(symbol.textContent, 0, 0);
+                }
+                drawFaceContent(target, cell.querySelector('.cell-back'), cellWidth, cellHeight);
+            } else {
+                target.fillStyle = '#000';
+                target.fillRect(-cellWidth / 2, -cellHeight / 2, cellWidth, cellHeight);
+                target.strokeStyle = '#222';
+                target.lineWidth = 1;
+                target.strokeRect(-cellWidth / 2 + 0.5, -cellHeight / 2 + 0.5, cellWidth - 1, cellHeight - 1);
+                drawFaceContent(target, cell.querySelector('.cell-front'), cellWidth, cellHeight);
+            }
+            
+            target.restore();
+        });
+        
+        target.drawImage(canvas, 0, 0, containerWidth, containerHeight);
+        
+        // Completion floaters sit in full-size layers of their celebration, the layers themselves draw nothing
+        particlesContainer.querySelectorAll(':scope > :not(.completion-layer), .completion-layer > *').forEach(floater => {
+            const size = floater.offsetWidth;
+            target.save();
+            target.translate(floater.offsetLeft + size / 2, floater.offsetTop + size / 2);
+            target.transform(...parseTransform(getComputedStyle(floater).transform));
+            target.beginPath();
+            target.arc(0, 0, size / 2, 0, Math.PI * 2);
+            target.fillStyle = floater.style.backgroundColor;
+            target.fill();
+            target.restore();
+        });
+        
+        target.restore();
+    }
+    
+    /**
+     * Records the grid to a video or an animated GIF, optionally playing a flip sequence.
+     * Every frame composites the cells, particles and background onto a canvas of its own, so the
+     * result has a fixed size and nothing else on the page shows up in it.
+     * WebM needs `MediaRecorder` and `canvas.captureStream`; GIFs are encoded here, with a fixed
+     * 252 color palette, one frame per task after the capture. GIF frames are kept uncompressed until
+     * then, so GIF exports are limited to `maxGifDuration` milliseconds.
+     * The promise rejects when the grid cannot be drawn, e.g. while it is hidden, or is destroyed first.
+     * @param {Object} [exportOptions] - Export options
+     * @param {string} [exportOptions.format='webm'] - `webm` or `gif`
+     * @param {string|Array} [exportOptions.sequence] - A pattern name or keyframes to play, see `createSequence`
+     * @param {Object} [exportOptions.sequenceOptions] - Options for the sequence
+     * @param {number} [exportOptions.duration] - Milliseconds to record; by default the sequence plus
+     * three seconds for its effects to settle, or five seconds without a sequence; at most `maxGifDuration` for GIF
+     * @param {number} [exportOptions.fps] - Frames per second, 30 for WebM and 15 for GIF by default
+     * @param {number} [exportOptions.width] - The output width in pixels, the container's width by default
+     * (at most 480 for GIF); the height follows the container's aspect ratio
+     * @return {Promise<Blob>} The `video/webm` or `image/gif` file
+     */
+    function exportAnimation(exportOptions = {}) {
+        const { format = 'webm', sequence: pattern, sequenceOptions } = exportOptions;
+        if (format !== 'webm' && format !== 'gif') {
+            return Promise.reject(new Error(`exportAnimation: unknown format "${format}"`));
+        }
+        
+        const output = document.createElement('canvas');
+        if (format === 'webm' && (typeof MediaRecorder === 'undefined' || !output.captureStream)) {
+            return Promise.reject(new Error('exportAnimation: this browser cannot record video, use the gif format'));
+        }
+        
+        const fps = exportOptions.fps || (format === 'gif' ? 15 : 30);
+        const defaultWidth = format === 'gif' ? Math.min(container.offsetWidth, 480) : container.offsetWidth;
+        const width = Math.round(exportOptions.width || defaultWidth);
+        const height = Math.round((width * container.offsetHeight) / container.offsetWidth);
+        if (!width || !height) {
+            return Promise.reject(new Error('exportAnimation: the grid has no size, it must be visible'));
+        }
+        output.width = width;
+        output.height = height;
+        const outputCtx = output.getContext('2d');
+        
+        const sequence = pattern ? createSequence(pattern, sequenceOptions) : null;
+        const defaultDuration = sequence ? sequence.duration + 3000 : 5000;
+        const duration = Math.min(
+            exportOptions.duration !== undefined ? exportOptions.duration : defaultDuration,
+            format === 'gif' ? maxGifDuration : Infinity
+        );
+        
+        return new Promise((resolve, reject) => {
+            let startTime = null;
+            let finished = false;
+            let recorder = null;
+            
+            /**
+             * Ends the export, stopping its sequence
+             */
+            const finish = () => {
+                finished = true;
+                activeExports.delete(fail);
+                if (sequence) {
+                    sequence.stop();
+                }
+            };
+            
+            /**
+             * Resolves with the file unless the export failed already
+             * @param {Blob} file - The exported file
+             */
+            const succeed = (file) => {
+                if (!finished) {
+                    finish();
+                    resolve(file);
+                }
+            };
+            
+            /**
+             * Abandons the export
+             * @param {Error} error - Why it failed
+             */
+            const fail = (error) => {
+                if (finished) {
+                    return;
+                }
+                finish();
+                if (recorder && recorder.state !== 'inactive') {
+                    recorder.stop();
+                }
+                reject(error);
+            };
+            activeExports.add(fail);
+            
+            /**
+             * Renders frames until the duration has passed
+             * @param {Function} onFrame - Called with the frame time after each render
+             * @param {Function} onEnd - Called once recording is over
+             */
+            const runFrames = (onFrame, onEnd) => {
+                const step = (now) => {
+                    if (finished) {
+                        return;
+                    }
+                    
+                    try {
+                        if (startTime === null) {
+                            startTime = now;
+                            if (sequence) {
+                                sequence.play();
+                            }
+                        }
+                        
+                        renderComposite(outputCtx, width);
+                        onFrame(now - startTime);
+                        
+                        if (now - startTime < duration) {
+                            requestFrame(step);
+                        } else {
+                            // The sequence's flips would go on without anyone recording them
+                            if (sequence) {
+                                sequence.stop();
+                            }
+                            onEnd();
+                        }
+                    } catch (error) {
+                        fail(error);
+                    }
+                };
+                requestFrame(step);
+            };
+            
+            if (format === 'webm') {
+                const stream = output.captureStream(fps);
+                const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+                    .find(type => MediaRecorder.isTypeSupported(type));
+                recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+                const chunks = [];
+                
+                recorder.addEventListener('dataavailable', e => chunks.push(e.data));
+                recorder.addEventListener('stop', () => {
+                    stream.getTracks().forEach(track => track.stop());
+                    succeed(new Blob(chunks, { type: 'video/webm' }));
+                });
+                recorder.addEventListener('error', e => fail(e.error || new Error('exportAnimation: recording failed')));
+                
+                recorder.start();
+                runFrames(() => {}, () => recorder.stop());
+                return;
+            }
+            
+            // GIF frames are captured at the frame rate and shown for as long as they lasted
+            const gifFrames = [];
+            let lastCapture = -Infinity;
+            runFrames(elapsed => {
+                if (elapsed - lastCapture < 1000 / fps) {
+                    return;
+                }
+                if (gifFrames.length > 0) {
+                    gifFrames[gifFrames.length - 1].delay = elapsed - lastCapture;
+                }
+                lastCapture = elapsed;
+                gifFrames.push({
+                    indices: quantizeGifFrame(outputCtx.getImageData(0, 0, width, height).data),
+                    delay: 1000 / fps
+                });
+            }, () => {
+                // Encoded after the last frame so the capture itself keeps its frame rate, and a frame
+                // per task so the page stays responsive
+                const parts = [encodeGifHeader(width, height)];
+                const encodeFrom = (index) => {
+                    if (finished) {
+                        return;
+                    }
+                    
+                    try {
+                        if (index < gifFrames.length) {
+                            parts.push(encodeGifFrame(width, height, gifFrames[index]));
+                            gifFrames[index] = null;
+                            schedule(() => encodeFrom(index + 1), 0);
+                        } else {
+                            parts.push(gifTrailer);
+                            succeed(new Blob(parts, { type: 'image/gif' }));
+                        }
+                    } catch (error) {
+                        fail(error);
+                    }
+                };
+                schedule(() => encodeFrom(0), 0);
+            });
+        });
+    }
+    
+    /**
+     * Instantly returns every cell to its unflipped state, cancelling pending flips and stopping sequences
+     */
+    function reset() {
+        recordEvent('reset');
+        leaveCompletion('reset');
+        clearHistory();
+        
+        // Playing sequences would flip their cells straight back
+        sequences.forEach(sequence => sequence.stop());
+        
+        cells.forEach((cell, index) => {
+            cancelScheduled(cell);
+            cell.classList.remove('flipped');
+            delete cell.dataset.unflipping;
+            cell.style.animation = '';
+            cell.dataset.animating = 'false';
+            updateCellLabel(cell, Math.floor(index / cols), index % cols);
+        });
+        gridContainer.style.animation = '';
+        dispatchGridEvent('gridreset');
+        
+        if (syncConnection && !applyingRemoteReset) {
+            syncConnection.sendReset();
+        }
+        
+        if (activeMode && activeMode.reset) {
+            activeMode.reset();
+        }
+    }
+    
+    /**
+     * Returns the number of flipped cells
+     * @return {number} The flipped count
+     */
+    function countFlipped() {
+        return cells.filter(cell => cell.classList.contains('flipped')).length;
+    }
+    
+    /**
+     * Dispatches a bubbling CustomEvent on the grid element.
+     * The detail always carries the current `flippedCount` and a `timestamp` in milliseconds since the epoch.
+     * @param {string} type - The event type, one of those listed on `createFlipGrid`, or a game mode's own
+     * sent through its controller's `dispatch`, such as `memorymatch`
+     * @param {Object} [detail] - Extra detail such as the `row` and `col` of the cell
+     */
+    function dispatchGridEvent(type, detail = {}) {
+        gridContainer.dispatchEvent(new CustomEvent(type, {
+            bubbles: true,
+            detail: { ...detail, flippedCount: countFlipped(), timestamp: Date.now() }
+        }));
+    }
+    
+    /**
+     * Returns a snapshot of the grid state
+     * @return {{rows: number, cols: number, flipped: boolean[][], flippedCount: number, complete: boolean}}
+     */
+    function getState() {
+        const flipped = [];
+        
+        for (let row = 0; row < rows; row++) {
+            flipped.push([]);
+            for (let col = 0; col < cols; col++) {
+                flipped[row].push(getCell(row, col).classList.contains('flipped'));
+            }
+        }
+        
+        const flippedCount = countFlipped();
+        return { rows, cols, flipped, flippedCount, complete: flippedCount === cells.length };
+    }
+    
+    /**
+     * Stops all effects and removes everything the grid added to the page
+     */
+    function destroy() {
+        if (activeMode && activeMode.destroy) {
+            activeMode.destroy();
+        }
+        activeMode = null;
+        
+        sequences.forEach(sequence => sequence.stop());
+        activeExports.forEach(fail => fail(new Error('exportAnimation: the grid was destroyed')));
+        leaveCompletion('destroy');
+        if (activeReplay) {
+            activeReplay.stop();
+        }
+        if (syncConnection) {
+            syncConnection.disconnect();
+        }
+        cancelScheduled();
+        frames.forEach(id => cancelAnimationFrame(id));
+        frames.clear();
+        particleEngine.clear();
+        
+        viewport.destroy();
+        soundLayer.destroy();
+        reducedMotionQuery.removeEventListener('change', handleReducedMotionChange);
+        gridContainer.removeEventListener('click', forceRepaint, true);
+        gridContainer.removeEventListener('keydown', handleGridKeydown);
+        gridContainer.removeEventListener('focusin', handleGridFocus);
+        container.removeEventListener('keydown', handleHistoryKeydown);
+        gridContainer.removeEventListener('pointerdown', handleStrokeStart);
+        gridContainer.removeEventListener('pointermove', handleStrokeMove);
+        gridContainer.removeEventListener('click', handleStrokeClick, true);
+        gridContainer.classList.remove('painting');
+        window.removeEventListener('pointerup', handleStrokeEnd);
+        window.removeEventListener('pointercancel', handleStrokeEnd);
+        strokes.clear();
+        ['cellflip', 'cellunflip', 'gridreset'].forEach(type => {
+            gridContainer.removeEventListener(type, persistState);
+        });
+        
+        rowElements.forEach(rowElement => rowElement.remove());
+        cells.length = 0;
+        ['role', 'aria-label', 'aria-rowcount', 'aria-colcount'].forEach(name => gridContainer.removeAttribute(name));
+        liveRegion.remove();
+        cellFaces.length = 0;
+        particlesContainer.remove();
+        gridContainer.style.animation = '';
+        
+        [gridContainer, canvas].forEach(element => {
+            if (element.dataset.owned === 'true') {
+                element.remove();
+            }
+        });
+        container.style.removeProperty('--rows');
+        container.style.removeProperty('--cols');
+        delete container.dataset.effects;
+        ['--theme-background', '--theme-shadow', '--theme-glow'].forEach(name => container.style.removeProperty(name));
+        gridContainer.style.removeProperty('--reveal-image');
+        window.removeEventListener('resize', updateRevealLayout);
+        revealSource = null;
+        stopLiveReveal();
+        flipGridInstances.delete(container);
+    }
+    
+    // Build the cells
+    initializeGrid();
+    
+    // Game mode deciding what clicking a cell does, none for plain flipping
+    let activeMode = null;
+    let activeModeName = null;
+    let activeModeOptions = null;
+    let activeModeController = null;
+    if (options.mode) {
+        const { name, ...modeOptions } = typeof options.mode === 'string' ? { name: options.mode } : options.mode;
+        setMode(name, modeOptions);
+    }
+    
+    // Save the progress whenever it changes
+    ['cellflip', 'cellunflip', 'gridreset'].forEach(type => {
+        gridContainer.addEventListener(type, persistState);
+    });
+    
+    /**
+     * Sets each cell's color from the current theme, or from the active mode where it picks one
+     */
+    function applyCellColors() {
+        // Same colors every time for the same seed
+        const random = createRandom(`${randomSeed}:colors`);
+        
+        cells.forEach((cell, index) => {
+            const row = Math.floor(index / cols);
+            const col = index % cols;
+            
+            // The gradient color is always drawn so the random sequence stays the same
+            const gradientColor = getGradientColor(row, col, random);
+            const modeColor = activeMode && activeMode.getCellColor ? activeMode.getCellColor(row, col) : null;
+            
+            // Set the color of this cell's back face
+            cell.style.setProperty('--cell-color', modeColor || gradientColor);
+        });
+    }
+    
+    // Apply the gradient colors to each cell after a short delay
+    schedule(() => {
+        applyCellColors();
+        
+        cells.forEach(cell => {
+            // Initialize cell state
+            cell.dataset.animating = 'false';
+        });
+    }, 100);
+    
+    /**
+     * Fix for any browser-specific issues with 3D transforms
+     * @param {Event} e - The click event, captured before it reaches the cell
+     */
+    function forceRepaint(e) {
+        if (e.target.classList.contains('cell')) {
+            // Force repaint to ensure proper rendering
+            e.target.style.transform = e.target.style.transform;
+        }
+    }
+    gridContainer.addEventListener('click', forceRepaint, true);
+    
+    const instance = {
+        container,
+        element: gridContainer,
+        rows,
+        cols,
+        flip,
+        flipAll,
+        unflipAll,
+        invert,
+        flipRow,
+        flipColumn,
+        flipRect,
+        undo,
+        redo,
+        getHistoryState,
+        play,
+        createSequence,
+        reset,
+        getState,
+        exportState,
+        importState,
+        setTheme,
+        getTheme: () => themeName,
+        setRevealSource,
+        setContent,
+        setCellContent,
+        setMode,
+        getMode: () => activeModeName,
+        getModeStats: () => (activeMode && activeMode.getStats ? activeMode.getStats() : null),
+        getActiveMode: () => activeMode,
+        setEffectProfile: name => setEffectProfile(name),
+        getEffectProfile,
+        setEffectConfig,
+        setAnimation,
+        setVolume: soundLayer.setVolume,
+        getVolume: soundLayer.getVolume,
+        setMuted,
+        isMuted: soundLayer.isMuted,
+        loadSoundPack: soundLayer.loadPack,
+        connect,
+        startRecording,
+        stopRecording,
+        replay,
+        exportAnimation,
+        getCompletionState,
+        destroy
+    };
+    
+    flipGridCount++;
+    flipGridInstances.set(container, instance);
+    return instance;
+}
+
+/**
+ * Returns the grid hosted by a container, if any
+ * @param {HTMLElement} container - The container passed to `createFlipGrid`
+ * @return {Object|undefined} The grid instance
+ */
+function getFlipGrid(container) {
+    return flipGridInstances.get(container);
+}
+
+// Symbols dealt by the memory mode when none are given
+const defaultMemorySymbols = [
+    '🍎', '🍋', '🍇', '🍒', '🥝', '🍑', '🍍', '🥥', '🌵', '🌻', '🍄', '🌙',
+    '⭐', '🔥', '💧', '❄️', '⚡', '🌈', '🎈', '🎁', '🎲', '🎯', '🎸', '🎺',
+    '🚀', '🛸', '⚓', '🔔', '🔑', '💎', '👑', '🦊', '🐙', '🦋', '🐢', '🐝'
+];
+
+/**
+ * Memory match: every cell hides a symbol shared with exactly one other cell.
+ * At most two unmatched cells are face-up at once, mismatches flip back after a pause and
+ * matches stay revealed with a particle burst. An odd cell count leaves one free cell revealed.
+ * Solving the board flips every cell, which runs the grid's completion effect.
+ * @param {Object} grid - The mode controller of the grid
+ * @param {Object} [modeOptions] - Mode options
+ * @param {Array<string|{image: string, label: string}>} [modeOptions.symbols] - Symbols or images to deal,
+ * reused when there are more pairs than symbols
+ * @param {number|string} [modeOptions.seed] - Seed for the deal, so a board can be replayed;
+ * derived from the grid's seed by default
+ * @param {number} [modeOptions.mismatchDelay=700] - Milliseconds a mismatched pair stays visible
+ * @return {Object} The mode
+ */
+function createMemoryMode(grid, modeOptions = {}) {
+    const symbols = modeOptions.symbols && modeOptions.symbols.length ? modeOptions.symbols : defaultMemorySymbols;
+    const seed = modeOptions.seed !== undefined ? modeOptions.seed : Math.floor(grid.random() * 4294967296);
+    const mismatchDelay = modeOptions.mismatchDelay !== undefined ? modeOptions.mismatchDelay : 700;
+    const cellCount = grid.rows * grid.cols;
+    
+    // Symbol index per cell, -1 for the free cell of an odd-sized board
+    let deal = [];
+    let symbolElements = [];
+    let faceUp = [];
+    let matched = new Set();
+    let moves = 0;
+    let startTime = null;
+    let endTime = null;
+    
+    /**
+     * Shuffles the pairs onto the cells and renders their symbols
+     */
+    function dealBoard() {
+        const random = createRandom(seed);
+        grid.cancelScheduled();
+        const pairCount = Math.floor(cellCount / 2);
+        
+        deal = [];
+        for (let pair = 0; pair < pairCount; pair++) {
+            deal.push(pair % symbols.length, pair % symbols.length);
+        }
+        if (cellCount % 2 === 1) {
+            deal.push(-1);
+        }
+        shuffle(deal, random);
+        
+        removeSymbols();
+        faceUp = [];
+        matched = new Set();
+        moves = 0;
+        startTime = null;
+        endTime = null;
+        
+        deal.forEach((symbolIndex, index) => {
+            const row = Math.floor(index / grid.cols);
+            const col = index % grid.cols;
+            const cell = grid.getCell(row, col);
+            cell.classList.remove('matched');
+            
+            if (symbolIndex === -1) {
+                matched.add(index);
+                grid.setFlipped(row, col, true);
+                return;
+            }
+            
+            const symbolElement = document.createElement('span');
+            symbolElement.classList.add('cell-symbol');
+            renderSymbol(symbolElement, symbols[symbolIndex]);
+            cell.appendChild(symbolElement);
+            symbolElements.push(symbolElement);
+        });
+    }
+    
+    /**
+     * Renders a symbol as text or as an image
+     * @param {HTMLElement} element - The symbol element
+     * @param {string|{image: string, label: string}} symbol - The symbol
+     */
+    function renderSymbol(element, symbol) {
+        if (typeof symbol === 'object' && symbol.image) {
+            const image = document.createElement('img');
+            image.src = symbol.image;
+            image.alt = symbol.label || '';
+            element.appendChild(image);
+        } else {
+            element.textContent = symbol;
+        }
+    }
+    
+    /**
+     * Removes the rendered symbols from the cells
+     */
+    function removeSymbols() {
+        symbolElements.forEach(element => element.remove());
+        symbolElements = [];
+    }
+    
+    /**
+     * Turns a cell face-up and settles the pair once two are showing
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     */
+    function activate(row, col) {
+        const index = row * grid.cols + col;
+        
+        // Ignore revealed cells and wait for a shown pair to settle
+        if (matched.has(index) || faceUp.includes(index) || faceUp.length >= 2 || grid.isAnimating(row, col)) {
+            return;
+        }
+        
+        if (startTime === null) {
+            startTime = Date.now();
+        }
+        
+        faceUp.push(index);
+        
+        if (faceUp.length === 2) {
+            // Settle the pair once the second cell has turned face-up
+            moves++;
+            grid.toggle(row, col, { effects: false, onDone: settlePair });
+        } else {
+            grid.toggle(row, col, { effects: false });
+        }
+    }
+    
+    /**
+     * Keeps a matching pair revealed or flips a mismatched one back
+     */
+    function settlePair() {
+        const [first, second] = faceUp;
+        const positions = [first, second].map(index => ({ row: Math.floor(index / grid.cols), col: index % grid.cols }));
+        
+        if (deal[first] === deal[second]) {
+            faceUp = [];
+            matched.add(first);
+            matched.add(second);
+            positions.forEach(({ row, col }) => {
+                grid.getCell(row, col).classList.add('matched');
+                grid.burst(row, col);
+            });
+            
+            if (matched.size === cellCount) {
+                endTime = Date.now();
+                grid.announce(`Solved in ${moves} moves`);
+            }
+            grid.dispatch('memorymatch', { cells: positions, ...getStats() });
+            return;
+        }
+        
+        grid.dispatch('memorymismatch', { cells: positions, ...getStats() });
+        
+        // Flip both back once they have been seen
+        let pending = positions.length;
+        positions.forEach(({ row, col }) => {
+            grid.schedule(() => {
+                const flipBack = () => grid.toggle(row, col, {
+                    effects: false,
+                    onDone: () => {
+                        pending--;
+                        if (pending === 0) {
+                            faceUp = [];
+                        }
+                    }
+                });
+                
+                // The first cell may still be turning face-up: try again shortly
+                const retry = () => {
+                    if (!flipBack()) {
+                        grid.schedule(retry, 50);
+                    }
+                };
+                retry();
+            }, mismatchDelay);
+        });
+    }
+    
+    /**
+     * Returns the progress of the game
+     * @return {{moves: number, matches: number, pairs: number, elapsed: number, solved: boolean}}
+     */
+    function getStats() {
+        const end = endTime !== null ? endTime : Date.now();
+        return {
+            moves,
+            matches: Math.floor([...matched].filter(index => deal[index] !== -1).length / 2),
+            pairs: Math.floor(cellCount / 2),
+            elapsed: startTime !== null ? end - startTime : 0,
+            solved: endTime !== null
+        };
+    }
+    
+    dealBoard();
+    
+    return {
+        activate,
+        getStats,
+        reset: dealBoard,
+        destroy: () => {
+            removeSymbols();
+            for (let index = 0; index < cellCount; index++) {
+                grid.getCell(Math.floor(index / grid.cols), index % grid.cols).classList.remove('matched');
+            }
+        }
+    };
+}
+
+registerFlipGridMode('memory', createMemoryMode);
+
+/**
+ * Solves a Lights Out board over GF(2): pressing a cell toggles it and its orthogonal neighbors,
+ * and the board is solved when every cell is flipped.
+ * Gaussian elimination gives one solution; when the press matrix is singular the solutions
+ * differ by its null space, which is searched for the fewest presses if it is small enough.
+ * @param {number} rows - The number of rows
+ * @param {number} cols - The number of columns
+ * @param {boolean[]} flipped - The flipped state of each cell in row-major order
+ * @return {boolean[]|null} The cells to press, or null when the board cannot be solved
+ */
+function solveLightsOut(rows, cols, flipped) {
+    const size = rows * cols;
+    const words = Math.ceil((size + 1) / 32);
+    
+    // One bit row per cell: the presses that toggle it, plus whether it still needs toggling
+    const matrix = [];
+    for (let index = 0; index < size; index++) {
+        const bits = new Uint32Array(words);
+        const row = Math.floor(index / cols);
+        const col = index % cols;
+        const setBit = (bit) => {
+            bits[bit >> 5] |= 1 << (bit & 31);
+        };
+        
+        setBit(index);
+        if (row > 0) setBit(index - cols);
+        if (row < rows - 1) setBit(index + cols);
+        if (col > 0) setBit(index - 1);
+        if (col < cols - 1) setBit(index + 1);
+        if (!flipped[index]) setBit(size);
+        
+        matrix.push(bits);
+    }
+    
+    const getBit = (bits, bit) => (bits[bit >> 5] >>> (bit & 31)) & 1;
+    
+    // Reduce to reduced row echelon form
+    const pivotColumns = [];
+    let pivotRow = 0;
+    for (let column = 0; column < size && pivotRow < size; column++) {
+        let found = pivotRow;
+        while (found < size && !getBit(matrix[found], column)) {
+            found++;
+        }
+        if (found === size) {
+            continue;
+        }
+        
+        [matrix[pivotRow], matrix[found]] = [matrix[found], matrix[pivotRow]];
+        for (let other = 0; other < size; other++) {
+            if (other !== pivotRow && getBit(matrix[other], column)) {
+                for (let word = 0; word < words; word++) {
+                    matrix[other][word] ^= matrix[pivotRow][word];
+                }
+            }
+        }
+        
+        pivotColumns.push(column);
+        pivotRow++;
+    }
+    
+    // A zero row with a set right-hand side has no solution
+    for (let row = pivotRow; row < size; row++) {
+        if (getBit(matrix[row], size)) {
+            return null;
+        }
+    }
+    
+    // Particular solution with every free press left out
+    const solution = new Array(size).fill(false);
+    pivotColumns.forEach((column, row) => {
+        solution[column] = getBit(matrix[row], size) === 1;
+    });
+    
+    // Null space basis, one vector per free column
+    const pivotSet = new Set(pivotColumns);
+    const nullSpace = [];
+    for (let free = 0; free < size; free++) {
+        if (pivotSet.has(free)) {
+            continue;
+        }
+        const vector = new Array(size).fill(false);
+        vector[free] = true;
+        pivotColumns.forEach((column, row) => {
+            vector[column] = getBit(matrix[row], free) === 1;
+        });
+        nullSpace.push(vector);
+    }
+    
+    // Walk every combination in Gray code order, one vector flip per step
+    if (nullSpace.length === 0 || nullSpace.length > 16) {
+        return solution;
+    }
+    
+    const current = solution.slice();
+    let best = solution.slice();
+    let bestCount = best.filter(Boolean).length;
+    for (let step = 1; step < 1 << nullSpace.length; step++) {
+        const changed = Math.log2(step & -step);
+        nullSpace[changed].forEach((bit, index) => {
+            if (bit) current[index] = !current[index];
+        });
+        
+        const count = current.filter(Boolean).length;
+        if (count < bestCount) {
+            best = current.slice();
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * Lights Out: pressing a cell toggles it and its orthogonal neighbors, and the goal is to flip
+ * every cell. Boards are generated by pressing random cells of a solved board, so they are always
+ * solvable. The mode counts moves, can undo them and can hint the next press of an optimal solution.
+ * Flipping the last cell runs the grid's completion effect.
+ * @param {Object} grid - The mode controller of the grid
+ * @param {Object} [modeOptions] - Mode options
+ * @param {number|string} [modeOptions.seed] - Seed for the board, so it can be replayed;
+ * derived from the grid's seed by default
+ * @param {number} [modeOptions.presses] - Random presses used to scramble the board,
+ * a quarter of the cell count by default
+ * @return {Object} The mode, with `undo()` and `hint()` on top of the mode methods
+ */
+function createLightsOutMode(grid, modeOptions = {}) {
+    const seed = modeOptions.seed !== undefined ? modeOptions.seed : Math.floor(grid.random() * 4294967296);
+    const cellCount = grid.rows * grid.cols;
+    const presses = Math.min(modeOptions.presses || Math.ceil(cellCount / 4), cellCount);
+    
+    let history = [];
+    let startTime = null;
+    let endTime = null;
+    let hintIndex = null;
+    
+    /**
+     * Returns the indices of a cell and its orthogonal neighbors
+     * @param {number} index - The index of the pressed cell
+     * @return {number[]} The affected indices
+     */
+    function getAffected(index) {
+        const row = Math.floor(index / grid.cols);
+        const col = index % grid.cols;
+        const affected = [index];
+        
+        if (row > 0) affected.push(index - grid.cols);
+        if (row < grid.rows - 1) affected.push(index + grid.cols);
+        if (col > 0) affected.push(index - 1);
+        if (col < grid.cols - 1) affected.push(index + 1);
+        
+        return affected;
+    }
+    
+    /**
+     * Returns the state every cell is in, or is flipping toward
+     * @return {boolean[]} The flags in row-major order
+     */
+    function readBoard() {
+        const flags = [];
+        for (let index = 0; index < cellCount; index++) {
+            flags.push(grid.isHeadingFlipped(Math.floor(index / grid.cols), index % grid.cols));
+        }
+        return flags;
+    }
+    
+    /**
+     * Scrambles a solved board with random presses, applied instantly
+     */
+    function generateBoard() {
+        const random = createRandom(seed);
+        grid.cancelScheduled();
+        clearHint();
+        
+        let flags;
+        do {
+            flags = new Array(cellCount).fill(true);
+            shuffle([...flags.keys()], random).slice(0, presses).forEach(index => {
+                getAffected(index).forEach(affected => {
+                    flags[affected] = !flags[affected];
+                });
+            });
+        } while (flags.every(Boolean));
+        
+        flags.forEach((flag, index) => grid.setFlipped(Math.floor(index / grid.cols), index % grid.cols, flag));
+        history = [];
+        startTime = null;
+        endTime = null;
+    }
+    
+    /**
+     * Toggles a cell and its neighbors with the flip animation
+     * @param {number} index - The index of the pressed cell
+     * @return {boolean} Whether the press happened, false while any affected cell is still animating
+     */
+    function press(index) {
+        const affected = getAffected(index);
+        const positions = affected.map(cell => ({ row: Math.floor(cell / grid.cols), col: cell % grid.cols }));
+        
+        if (positions.some(({ row, col }) => grid.isAnimating(row, col))) {
+            return false;
+        }
+        
+        // Particle effects only for the pressed cell, so a press reads as one action
+        positions.forEach(({ row, col }, position) => grid.toggle(row, col, { effects: position === 0 }));
+        clearHint();
+        return true;
+    }
+    
+    /**
+     * Presses a cell
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     */
+    function activate(row, col) {
+        const index = row * grid.cols + col;
+        if (endTime !== null || !press(index)) {
+            return;
+        }
+        
+        if (startTime === null) {
+            startTime = Date.now();
+        }
+        history.push(index);
+        
+        // The pressed cells read back as they will be once the flips land
+        if (readBoard().every(Boolean)) {
+            endTime = Date.now();
+            grid.announce(`Solved in ${history.length} moves`);
+        }
+        
+        grid.dispatch('lightsoutmove', { row, col, ...getStats() });
+    }
+    
+    /**
+     * Takes back the last press
+     * @return {boolean} Whether a press was undone
+     */
+    function undo() {
+        if (history.length === 0 || endTime !== null) {
+            return false;
+        }
+        
+        const index = history[history.length - 1];
+        if (!press(index)) {
+            return false;
+        }
+        
+        history.pop();
+        grid.dispatch('lightsoutundo', { row: Math.floor(index / grid.cols), col: index % grid.cols, ...getStats() });
+        return true;
+    }
+    
+    /**
+     * Highlights the next press of an optimal solution from the current board
+     * @return {{row: number, col: number}|null} The hinted cell, or null when there is nothing to press
+     */
+    function hint() {
+        clearHint();
+        
+        const solution = solveLightsOut(grid.rows, grid.cols, readBoard());
+        const index = solution ? solution.indexOf(true) : -1;
+        if (index === -1) {
+            return null;
+        }
+        
+        const position = { row: Math.floor(index / grid.cols), col: index % grid.cols };
+        hintIndex = index;
+        grid.getCell(position.row, position.col).classList.add('hint');
+        return position;
+    }
+    
+    /**
+     * Removes the hint highlight
+     */
+    function clearHint() {
+        if (hintIndex !== null) {
+            grid.getCell(Math.floor(hintIndex / grid.cols), hintIndex % grid.cols).classList.remove('hint');
+            hintIndex = null;
+        }
+    }
+    
+    /**
+     * Returns the progress of the game
+     * @return {{moves: number, elapsed: number, solved: boolean}}
+     */
+    function getStats() {
+        const end = endTime !== null ? endTime : Date.now();
+        return {
+            moves: history.length,
+            elapsed: startTime !== null ? end - startTime : 0,
+            solved: endTime !== null
+        };
+    }
+    
+    generateBoard();
+    
+    return {
+        activate,
+        undo,
+        hint,
+        getStats,
+        reset: generateBoard,
+        destroy: clearHint
+    };
+}
+
+registerFlipGridMode('lightsout', createLightsOutMode);
+
+/**
+ * Opens a leaderboard of challenge scores kept in IndexedDB, so best scores survive reloads.
+ * Scores are grouped by board, such as the grid size, and ranked by score, then by time.
+ * @param {string} [name='flip-grid-leaderboard'] - The database name
+ * @return {Object} The leaderboard with `add(entry)`, `getTop(board, limit)` and `close()`;
+ * `add` and `getTop` return promises
+ */
+function openFlipGridLeaderboard(name = 'flip-grid-leaderboard') {
+    let database = null;
+    
+    /**
+     * Opens the database on first use, creating its store
+     * @return {Promise<IDBDatabase>} The database
+     */
+    function open() {
+        if (!database) {
+            database = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('Leaderboard: this browser has no IndexedDB'));
+                    return;
+                }
+                
+                const request = indexedDB.open(name, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore('scores', { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('board', 'board');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Leaderboard: an older version of the database is open in another tab'));
+            });
+            
+            // A failed open is tried again on the next use
+            const opening = database;
+            opening.catch(() => {
+                if (database === opening) {
+                    database = null;
+                }
+            });
+        }
+        return database;
+    }
+    
+    /**
+     * Runs one request in a transaction on the scores
+     * @param {string} mode - `readonly` or `readwrite`
+     * @param {Function} operation - Called with the store, returns the request
+     * @return {Promise} The request's result once the transaction has completed
+     */
+    function run(mode, operation) {
+        return open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction('scores', mode);
+            const request = operation(transaction.objectStore('scores'));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            // Aborts such as a full quota fire no error event
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+    
+    /**
+     * Saves a score
+     * @param {Object} entry - The score with its `board`, `name`, `score`, `elapsed` and `date`
+     * @return {Promise<number>} The id of the saved entry
+     */
+    function add(entry) {
+        return run('readwrite', store => store.add(entry));
+    }
+    
+    /**
+     * Returns the best scores of a board
+     * @param {string} board - The board
+     * @param {number} [limit=10] - The most entries to return
+     * @return {Promise<Object[]>} The entries, best first
+     */
+    function getTop(board, limit = 10) {
+        return run('readonly', store => store.index('board').getAll(board)).then(entries => entries
+            .sort((a, b) => b.score - a.score || a.elapsed - b.elapsed)
+            .slice(0, limit));
+    }
+    
+    /**
+     * Closes the database once pending requests are done
+     */
+    function close() {
+        if (database) {
+            database.then(db => db.close(), () => {});
+            database = null;
+        }
+    }
+    
+    return {
+        add,
+        getTop,
+        close
+    };
+}
+
+/**
+ * Timed challenge: reveal every cell as fast as possible. The timer starts with the first flip
+ * and stops when the grid completes. Each flip of a hidden cell scores 10 points times the combo,
+ * which grows with every flip next to the previous one (diagonals included) within the combo
+ * window, up to 10. Flipping a revealed cell back is a miss that breaks the combo.
+ * The final score is `(flip points + 50 per second under par) * accuracy`, accuracy being the
+ * share of flips that revealed a cell. A HUD over the grid shows the time, flips and combo,
+ * and finished games can be saved to the leaderboard.
+ * Dispatches `challengestart`, `challengeflip` and `challengeend` events, and `challengeerror`
+ * when a score cannot be saved from the HUD.
+ * @param {Object} grid - The grid controller
+ * @param {Object} [modeOptions] - Mode options
+ * @param {number} [modeOptions.parTime] - The time in milliseconds to beat for a time bonus, one second per cell by default
+ * @param {number} [modeOptions.comboWindow=1500] - Milliseconds within which the next adjacent flip extends the combo
+ * @param {boolean} [modeOptions.hud=true] - Whether to show the HUD
+ * @param {boolean|string} [modeOptions.leaderboard=true] - Whether to keep a leaderboard, or the name of its database
+ * @param {string} [modeOptions.board] - The leaderboard the scores go to, the grid size by default
+ * @param {string} [modeOptions.playerName] - Saves finished games under this name instead of asking for one
+ * @return {Object} The mode
+ */
+function createChallengeMode(grid, modeOptions = {}) {
+    const cellCount = grid.rows * grid.cols;
+    const parTime = modeOptions.parTime !== undefined ? modeOptions.parTime : cellCount * 1000;
+    const comboWindow = modeOptions.comboWindow !== undefined ? modeOptions.comboWindow : 1500;
+    const maxCombo = 10;
+    const board = modeOptions.board || `${grid.rows}x${grid.cols}`;
+    const leaderboard = modeOptions.leaderboard === false
+        ? null
+        : openFlipGridLeaderboard(typeof modeOptions.leaderboard === 'string' ? modeOptions.leaderboard : undefined);
+    
+    let startTime = null;
+    let endTime = null;
+    let flips = 0;
+    let hits = 0;
+    let combo = 0;
+    let bestCombo = 0;
+    let points = 0;
+    let lastHit = null;
+    let saved = false;
+    
+    const hud = modeOptions.hud === false ? null : createHud();
+    grid.element.addEventListener('gridcomplete', handleComplete);
+    
+    /**
+     * Builds the HUD in the grid's container
+     * @return {Object} The HUD elements
+     */
+    function createHud() {
+        const element = document.createElement('div');
+        element.classList.add('challenge-hud');
+        
+        // The ticking stats would flood screen readers; the results are announced instead
+        const stats = document.createElement('div');
+        stats.classList.add('challenge-stats');
+        stats.setAttribute('aria-hidden', 'true');
+        
+        const values = {};
+        [['time', 'Time'], ['flips', 'Flips'], ['combo', 'Combo'], ['score', 'Score']].forEach(([key, label]) => {
+            const stat = document.createElement('span');
+            stat.classList.add('challenge-stat');
+            stat.textContent = `${label} `;
+            values[key] = document.createElement('b');
+            stat.appendChild(values[key]);
+            stats.appendChild(stat);
+        });
+        
+        const results = document.createElement('div');
+        results.classList.add('challenge-results');
+        results.hidden = true;
+        
+        element.append(stats, results);
+        grid.container.appendChild(element);
+        return { element, values, results };
+    }
+    
+    /**
+     * Shows the current stats in the HUD
+     */
+    function updateHud() {
+        if (!hud) {
+            return;
+        }
+        
+        const stats = getStats();
+        hud.values.time.textContent = `${(stats.elapsed / 1000).toFixed(1)}s`;
+        hud.values.flips.textContent = String(stats.flips);
+        hud.values.combo.textContent = `×${stats.combo}`;
+        hud.values.score.textContent = String(stats.score);
+    }
+    
+    /**
+     * Keeps the HUD's timer running until the challenge ends
+     */
+    function tick() {
+        updateHud();
+        if (startTime !== null && endTime === null) {
+            grid.schedule(tick, 100);
+        }
+    }
+    
+    /**
+     * Flips a cell, scoring a hit or a miss
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     */
+    function activate(row, col) {
+        // Scored from the state the cell is heading to, which an unflip only reaches at its end
+        const wasFlipped = grid.isHeadingFlipped(row, col);
+        if (endTime !== null || !grid.toggle(row, col)) {
+            return;
+        }
+        
+        const now = Date.now();
+        if (startTime === null) {
+            startTime = now;
+            grid.dispatch('challengestart');
+            tick();
+        }
+        flips++;
+        
+        if (wasFlipped) {
+            combo = 0;
+            lastHit = null;
+        } else {
+            // A hit next to the previous one, soon enough, extends the streak
+            const chained = lastHit !== null &&
+                Math.abs(row - lastHit.row) <= 1 &&
+                Math.abs(col - lastHit.col) <= 1 &&
+                now - lastHit.time <= comboWindow;
+            combo = chained ? combo + 1 : 1;
+            bestCombo = Math.max(bestCombo, combo);
+            points += 10 * Math.min(combo, maxCombo);
+            hits++;
+            lastHit = { row, col, time: now };
+        }
+        
+        updateHud();
+        grid.dispatch('challengeflip', { row, col, ...getStats() });
+    }
+    
+    /**
+     * Stops the timer once every cell is revealed
+     */
+    function handleComplete() {
+        if (startTime === null || endTime !== null) {
+            return;
+        }
+        
+        endTime = Date.now();
+        const stats = getStats();
+        updateHud();
+        grid.announce(`Challenge complete: ${stats.score} points in ${(stats.elapsed / 1000).toFixed(1)} seconds`);
+        grid.dispatch('challengeend', stats);
+        
+        if (leaderboard && modeOptions.playerName) {
+            saveScore(modeOptions.playerName);
+        } else {
+            showResults();
+        }
+    }
+    
+    /**
+     * Shows the final score in the HUD, with a form to save it while it is unsaved
+     * @param {Object[]} [top] - Leaderboard entries to list
+     */
+    function showResults(top) {
+        if (!hud) {
+            return;
+        }
+        
+        const results = hud.results;
+        results.replaceChildren();
+        results.hidden = false;
+        
+        const title = document.createElement('p');
+        title.textContent = `${getStats().score} points`;
+        results.appendChild(title);
+        
+        if (leaderboard && !saved) {
+            const form = document.createElement('form');
+            form.classList.add('challenge-save');
+            
+            const input = document.createElement('input');
+            input.name = 'player';
+            input.maxLength = 20;
+            input.placeholder = 'Your name';
+            input.setAttribute('aria-label', 'Your name for the leaderboard');
+            input.required = true;
+            
+            const button = document.createElement('button');
+            button.type = 'submit';
+            button.textContent = 'Save';
+            
+            form.append(input, button);
+            form.addEventListener('submit', event => {
+                event.preventDefault();
+                saveScore(input.value);
+            });
+            results.appendChild(form);
+        }
+        
+        if (top) {
+            const list = document.createElement('ol');
+            list.classList.add('challenge-leaderboard');
+            top.forEach(entry => {
+                const item = document.createElement('li');
+                item.textContent = `${entry.name} — ${entry.score}`;
+                list.appendChild(item);
+            });
+            results.appendChild(list);
+        }
+        
+        const again = document.createElement('button');
+        again.type = 'button';
+        again.textContent = 'Play again';
+        again.addEventListener('click', reset);
+        results.appendChild(again);
+    }
+    
+    /**
+     * Saves the finished game from the HUD, showing the score whether or not it could be kept
+     * and dispatching `challengeerror` when it could not
+     * @param {string} name - The player's name
+     */
+    function saveScore(name) {
+        submitScore(name).catch(error => {
+            showResults();
+            grid.dispatch('challengeerror', { error });
+        });
+    }
+    
+    /**
+     * Saves the finished game to the leaderboard
+     * @param {string} name - The player's name
+     * @return {Promise<Object[]>} The board's best scores afterwards
+     */
+    function submitScore(name) {
+        if (!leaderboard) {
+            return Promise.reject(new Error('submitScore: the leaderboard is disabled'));
+        }
+        if (endTime === null || saved) {
+            return Promise.reject(new Error('submitScore: there is no unsaved finished game'));
+        }
+        
+        saved = true;
+        const stats = getStats();
+        const entry = {
+            board,
+            name: String(name).trim().slice(0, 20) || 'Anonymous',
+            score: stats.score,
+            elapsed: stats.elapsed,
+            flips: stats.flips,
+            accuracy: stats.accuracy,
+            maxCombo: stats.maxCombo,
+            date: new Date().toISOString()
+        };
+        
+        return leaderboard.add(entry)
+            .then(() => getLeaderboard(5))
+            .then(top => {
+                showResults(top);
+                return top;
+            }, error => {
+                saved = false;
+                throw error;
+            });
+    }
+    
+    /**
+     * Returns the best scores of this mode's board
+     * @param {number} [limit=10] - The most entries to return
+     * @return {Promise<Object[]>} The entries with `name`, `score`, `elapsed`, `date` and more, best first
+     */
+    function getLeaderboard(limit = 10) {
+        return leaderboard ? leaderboard.getTop(board, limit) : Promise.resolve([]);
+    }
+    
+    /**
+     * Returns the progress of the challenge
+     * @return {{flips: number, hits: number, accuracy: number, combo: number, maxCombo: number,
+     * elapsed: number, score: number, finished: boolean}}
+     */
+    function getStats() {
+        const end = endTime !== null ? endTime : Date.now();
+        const elapsed = startTime !== null ? end - startTime : 0;
+        const accuracy = flips > 0 ? hits / flips : 1;
+        const timeBonus = endTime !== null ? Math.max(0, parTime - elapsed) / 1000 * 50 : 0;
+        
+        return {
+            flips,
+            hits,
+            accuracy,
+            combo,
+            maxCombo: bestCombo,
+            elapsed,
+            score: Math.round((points + timeBonus) * accuracy),
+            finished: endTime !== null
+        };
+    }
+    
+    /**
+     * Hides every cell and starts over
+     */
+    function reset() {
+        grid.cancelScheduled();
+        for (let index = 0; index < cellCount; index++) {
+            grid.setFlipped(Math.floor(index / grid.cols), index % grid.cols, false);
+        }
+        
+        startTime = null;
+        endTime = null;
+        flips = 0;
+        hits = 0;
+        combo = 0;
+        bestCombo = 0;
+        points = 0;
+        lastHit = null;
+        saved = false;
+        
+        if (hud) {
+            hud.results.hidden = true;
+            hud.results.replaceChildren();
         }
+        updateHud();
     }
     
     /**
-     * Handles the click event on a cell
-     * @param {Event} event - The click event
-     * @param {HTMLElement} cell - The cell element that was clicked
-     * @param {number} row - The row index of the cell
-     * @param {number} col - The column index of the cell
+     * Removes the HUD and closes the leaderboard
      */
-    function handleCellClick(event, cell, row, col) {
-        // Prevent default to avoid any browser-specific issues
-        event.preventDefault();
-        
-        // Get accurate cell position for particle effects
-        const rect = cell.getBoundingClientRect();
-        const centerX = rect.left + rect.width / 2;
-        const centerY = rect.top + rect.height / 2;
-        
-        // Check if the cell is currently being animated
-        if (cell.dataset.animating === 'true') {
-            return; // Skip if animation is in progress
+    function destroy() {
+        grid.element.removeEventListener('gridcomplete', handleComplete);
+        if (hud) {
+            hud.element.remove();
         }
+        if (leaderboard) {
+            leaderboard.close();
+        }
+    }
+    
+    updateHud();
+    
+    return {
+        activate,
+        getStats,
+        submitScore,
+        getLeaderboard,
+        reset,
+        destroy
+    };
+}
+
+registerFlipGridMode('challenge', createChallengeMode);
+
+/**
+ * Splits CSV text into records of fields, following RFC 4180 quoting
+ * @param {string} text - The CSV text
+ * @return {string[][]} The records, without blank lines
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
         
-        // Set animating flag
-        cell.dataset.animating = 'true';
-        
-        if (cell.classList.contains('flipped')) {
-            // If already flipped, flip back to original state
-            cell.style.animation = 'rotate-scale 0.8s reverse forwards';
-            
-            // Remove flipped class after animation completes
-            setTimeout(() => {
-                cell.classList.remove('flipped');
-                cell.dataset.animating = 'false'; // Clear animating flag
-            }, 800);
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            record.push(field.trim());
+            field = '';
+            if (record.some(value => value !== '')) {
+                records.push(record);
+            }
+            record = [];
         } else {
-            // Apply random rotation style
-            const rotationStyle = getRandomRotationStyle();
-            cell.style.animation = rotationStyle.animation;
-            
-            // Create DOM-based particle effects at the click position
-            createParticleEffects(centerX, centerY, row, col);
-            
-            // Create canvas-based particle effects at the click position
-            createCanvasParticles(centerX, centerY, row, col);
+            field += char;
+        }
+    }
+    
+    record.push(field.trim());
+    if (record.some(value => value !== '')) {
+        records.push(record);
+    }
+    return records;
+}
+
+/**
+ * Reads heatmap data from JSON or CSV text, or from values parsed already.
+ * A matrix is an array of rows of numbers. Dated values are an array of objects with a date and
+ * a value, an object of values by date, or CSV whose header names the date column.
+ * Anything that is not a finite number counts as no data.
+ * @param {string|Array|Object} source - The data, or its JSON or CSV text
+ * @param {Object} [fields] - Field names of dated values
+ * @param {string} [fields.date='date'] - The field holding the date
+ * @param {string} [fields.value='value'] - The field holding the value
+ * @return {{matrix: Array<Array<number|null>>}|{entries: Array<{date: *, value: number|null}>}}
+ * The rows of values, or the dated values
+ */
+function parseHeatmapData(source, fields = {}) {
+    const dateField = fields.date || 'date';
+    const valueField = fields.value || 'value';
+    let data = source;
+    
+    if (typeof source === 'string') {
+        const text = source.trim();
+        if (text.startsWith('[') || text.startsWith('{')) {
+            data = JSON.parse(text);
+        } else {
+            const records = parseCsv(text);
+            const header = records[0] || [];
             
-            // Add flipped class after a small delay to ensure animation starts
-            setTimeout(() => {
-                cell.classList.add('flipped');
-                
-                // Check if all cells are flipped
-                checkAllFlipped();
-                
-                // Clear animating flag after animation completes
-                setTimeout(() => {
-                    cell.dataset.animating = 'false';
-                }, 750);
-            }, 50);
+            if (header.includes(dateField)) {
+                // Records become objects keyed by the header
+                data = records.slice(1).map(record => {
+                    const item = {};
+                    header.forEach((name, index) => {
+                        item[name] = record[index];
+                    });
+                    return item;
+                });
+            } else {
+                // Rows of numbers, below a header of labels if there is one
+                const labelled = header.some(name => name !== '' && !Number.isFinite(Number(name)));
+                data = labelled ? records.slice(1) : records;
+            }
         }
     }
     
+    const toValue = value => {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    };
+    
+    if (Array.isArray(data) && data.every(Array.isArray)) {
+        return { matrix: data.map(row => row.map(toValue)) };
+    }
+    if (Array.isArray(data)) {
+        return {
+            entries: data
+                .filter(item => item && item[dateField] !== undefined)
+                .map(item => ({ date: item[dateField], value: toValue(item[valueField]) }))
+        };
+    }
+    if (data && typeof data === 'object') {
+        return { entries: Object.entries(data).map(([date, value]) => ({ date, value: toValue(value) })) };
+    }
+    throw new Error('Heatmap data must be a matrix, a list of dated values or an object of values by date');
+}
+
+/**
+ * Reads a CSS color into its channels
+ * @param {string} color - A CSS color
+ * @return {{r: number, g: number, b: number, a: number}|null} The channels, red, green and blue
+ * from 0 to 255 and alpha from 0 to 1, or null when the color cannot be read
+ */
+function parseCssColor(color) {
+    let text = String(color).trim();
+    
+    // Canvas contexts turn any color into hex or rgba notation
+    if (!/^(#|rgba?\()/i.test(text)) {
+        const ctx = document.createElement('canvas').getContext('2d');
+        if (!ctx) {
+            return null;
+        }
+        ctx.fillStyle = '#000';
+        ctx.fillStyle = text;
+        text = String(ctx.fillStyle);
+    }
+    
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(text);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        return {
+            r: parseInt(digits.slice(0, 2), 16),
+            g: parseInt(digits.slice(2, 4), 16),
+            b: parseInt(digits.slice(4, 6), 16),
+            a: 1
+        };
+    }
+    
+    const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+)(%?))?\s*\)$/i.exec(text);
+    if (rgb) {
+        const alpha = rgb[4] === undefined ? 1 : parseFloat(rgb[4]) / (rgb[5] ? 100 : 1);
+        return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]), a: alpha };
+    }
+    return null;
+}
+
+/**
+ * Heatmap: the grid shows a dataset, each cell revealing a color for its value on a scale, with a
+ * legend and a tooltip naming the value of the cell under the pointer or keyboard focus.
+ * The data is a matrix laid out row by row, or dated values laid out as a calendar: one column per
+ * week with a row per weekday on seven-row grids, such as an activity chart, and day after day down
+ * the columns otherwise, ending at the latest date. Cells with a value flip over, the others stay
+ * hidden, and new data turns cells over and fades the colors of the revealed ones into their new values.
+ * Dispatches `heatmapupdate` when the data changes and `heatmapselect` when a cell is activated.
+ * @param {Object} grid - The mode controller of the grid
+ * @param {Object} [modeOptions] - Mode options
+ * @param {string|Array|Object} [modeOptions.data] - The dataset, see `parseHeatmapData`
+ * @param {Object} [modeOptions.fields] - Field names of dated values, see `parseHeatmapData`
+ * @param {string|number|Date} [modeOptions.end] - The last day of a calendar, the latest date by default
+ * @param {number} [modeOptions.weekStart=0] - The weekday of a calendar's first row, 0 for Sunday
+ * @param {Object} [modeOptions.scale] - How values map to colors
+ * @param {number} [modeOptions.scale.min] - The value of the first color, the lowest value by default
+ * @param {number} [modeOptions.scale.max] - The value of the last color, the highest value by default
+ * @param {string} [modeOptions.scale.type='linear'] - `linear`, `sqrt` or `log`, the latter two telling
+ * small values apart better when a few are much larger
+ * @param {number} [modeOptions.scale.steps=5] - The number of color levels, or 0 for a continuous scale
+ * @param {string[]} [modeOptions.scale.colors] - CSS colors from the lowest value to the highest;
+ * by default the theme's hues from dark to light
+ * @param {string} [modeOptions.unit] - Unit named after values, such as `contributions`
+ * @param {Function} [modeOptions.format] - Turns a value into text, `toLocaleString` by default
+ * @param {Function} [modeOptions.label] - Builds the tooltip text from `{row, col, value, date}`
+ * @param {boolean} [modeOptions.legend=true] - Whether to show the legend
+ * @param {boolean} [modeOptions.tooltip=true] - Whether to show tooltips
+ * @param {number} [modeOptions.stagger=30] - Milliseconds between the flips of neighboring diagonals
+ * @return {Object} The mode, with `setData(data)`, `load(source)` and `getValue(row, col)`
+ * on top of the mode methods
+ */
+function createHeatmapMode(grid, modeOptions = {}) {
+    const cellCount = grid.rows * grid.cols;
+    const dayLength = 24 * 60 * 60 * 1000;
+    const scale = { type: 'linear', steps: 5, ...modeOptions.scale };
+    const colorStops = scale.colors ? scale.colors.map(parseCssColor) : null;
+    const stagger = modeOptions.stagger !== undefined ? modeOptions.stagger : 30;
+    const format = modeOptions.format || (value => value.toLocaleString());
+    
+    // Value and day number of every cell, null where there is none
+    let values = new Array(cellCount).fill(null);
+    let days = new Array(cellCount).fill(null);
+    let domain = { min: 0, max: 0 };
+    let tooltipIndex = null;
+    
+    // Cell elements back to their index, for pointer and focus events
+    const cellIndices = new Map();
+    for (let index = 0; index < cellCount; index++) {
+        cellIndices.set(grid.getCell(Math.floor(index / grid.cols), index % grid.cols), index);
+    }
+    
+    const legend = modeOptions.legend === false ? null : createLegend();
+    const tooltip = modeOptions.tooltip === false ? null : createTooltip();
+    
+    if (tooltip) {
+        grid.element.addEventListener('pointerover', handlePointerOver);
+        grid.element.addEventListener('pointerleave', hideTooltip);
+        grid.element.addEventListener('focusin', handleFocus);
+        grid.element.addEventListener('focusout', hideTooltip);
+    }
+    grid.element.addEventListener('themechange', updateLegend);
+    
     /**
-     * Creates canvas-based particles at the specified position
-     * @param {number} x - The x-coordinate of the effect center
-     * @param {number} y - The y-coordinate of the effect center
-     * @param {number} row - The row index of the cell
-     * @param {number} col - The column index of the cell
+     * Builds the legend in the grid's container
+     * @return {Object} The legend elements
      */
-    function createCanvasParticles(x, y, row, col) {
-        const hueBase = 240 + ((row + col) / (gridSize * 2 - 2)) * 60; // Blue to purple range
-        
-        // Convert page coordinates to canvas coordinates
-        const container = document.querySelector('.container');
-        const containerRect = container.getBoundingClientRect();
-        const canvasX = x - containerRect.left;
-        const canvasY = y - containerRect.top;
+    function createLegend() {
+        const element = document.createElement('div');
+        element.classList.add('heatmap-legend');
         
-        // Create fluid particles
-        for (let i = 0; i < 30; i++) {
-            const size = Math.random() * 5 + 2;
-            const speedX = (Math.random() - 0.5) * 3;
-            const speedY = (Math.random() - 0.5) * 3;
-            const life = Math.random() * 100 + 50;
-            
-            // Color variation based on position
-            const hue = hueBase + Math.random() * 30 - 15;
-            const saturation = Math.floor(Math.random() * 30) + 70; // 70-100%
-            const lightness = Math.floor(Math.random() * 20) + 50; // 50-70%
-            const alpha = Math.random() * 0.5 + 0.5;
-            
-            canvasParticles.push({
-                x: canvasX,
-                y: canvasY,
-                size,
-                speedX,
-                speedY,
-                life,
-                fullLife: life,
-                color: `hsla(${hue}, ${saturation}%, ${lightness}%, ${alpha})`,
-                glow: Math.random() > 0.7 // 30% chance of glowing particles
-            });
-        }
+        const min = document.createElement('span');
+        const swatches = document.createElement('span');
+        swatches.classList.add('heatmap-swatches');
+        const max = document.createElement('span');
         
-        // Start animation loop if not already running
-        if (!animationLoopRunning) {
-            animationLoopRunning = true;
-            animateCanvasParticles();
-        }
+        element.append(min, swatches, max);
+        grid.container.appendChild(element);
+        return { element, min, swatches, max };
     }
     
-    // Animation loop flag
-    let animationLoopRunning = false;
+    /**
+     * Builds the tooltip in the grid's container
+     * @return {HTMLElement} The tooltip
+     */
+    function createTooltip() {
+        const element = document.createElement('div');
+        element.classList.add('heatmap-tooltip');
+        element.id = `${grid.idPrefix}heatmap-tooltip`;
+        element.setAttribute('role', 'tooltip');
+        element.hidden = true;
+        grid.container.appendChild(element);
+        return element;
+    }
     
     /**
-     * Animates all canvas particles
+     * Returns the day number of a date, counted in days since the epoch
+     * @param {string|number|Date} date - An ISO date such as `2024-05-01`, a timestamp or a Date
+     * @return {number|null} The day number, or null for an invalid date
      */
-    function animateCanvasParticles() {
-        // Clear canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        
-        // Update and draw particles
-        for (let i = canvasParticles.length - 1; i >= 0; i--) {
-            const p = canvasParticles[i];
-            
-            // Update position
-            p.x += p.speedX;
-            p.y += p.speedY;
-            
-            // Apply gravity and friction
-            p.speedY += 0.03;
-            p.speedX *= 0.99;
-            p.speedY *= 0.99;
-            
-            // Decrease life
-            p.life--;
-            
-            // Calculate opacity based on remaining life
-            const opacity = p.life / p.fullLife;
-            
-            // Draw particle
-            ctx.globalAlpha = opacity;
-            ctx.beginPath();
-            ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
-            ctx.fillStyle = p.color;
-            ctx.fill();
-            
-            // Add glow effect for special particles
-            if (p.glow) {
-                ctx.save();
-                ctx.filter = `blur(${p.size * 2}px)`;
-                ctx.globalAlpha = opacity * 0.5;
-                ctx.beginPath();
-                ctx.arc(p.x, p.y, p.size * 2, 0, Math.PI * 2);
-                ctx.fillStyle = p.color;
-                ctx.fill();
-                ctx.restore();
-            }
-            
-            // Remove dead particles
-            if (p.life <= 0) {
-                canvasParticles.splice(i, 1);
-            }
+    function toDay(date) {
+        // ISO dates name a calendar day, wherever the chart is viewed
+        const iso = typeof date === 'string' ? /^(\d{4})-(\d{2})-(\d{2})/.exec(date.trim()) : null;
+        if (iso) {
+            return Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) / dayLength;
         }
         
-        // Continue animation if particles exist
-        if (canvasParticles.length > 0) {
-            requestAnimationFrame(animateCanvasParticles);
-        } else {
-            animationLoopRunning = false;
+        const parsed = date instanceof Date ? date : new Date(date);
+        if (isNaN(parsed.getTime())) {
+            return null;
         }
+        return Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()) / dayLength;
     }
     
     /**
-     * Creates various particle effects at the specified position
-     * @param {number} x - The x-coordinate of the effect center
-     * @param {number} y - The y-coordinate of the effect center
-     * @param {number} row - The row index of the cell
-     * @param {number} col - The column index of the cell
+     * Lays out data over the cells
+     * @param {Object} data - Parsed data, see `parseHeatmapData`
      */
-    function createParticleEffects(x, y, row, col) {
-        // Calculate color based on position in the grid to match the gradient
-        const hueBase = 240 + ((row + col) / (gridSize * 2 - 2)) * 60; // Blue to purple range
+    function layOut(data) {
+        values = new Array(cellCount).fill(null);
+        days = new Array(cellCount).fill(null);
         
-        // Create regular particles
-        createParticles(x, y, particlesPerClick, hueBase);
+        if (data.matrix) {
+            for (let index = 0; index < cellCount; index++) {
+                const row = data.matrix[Math.floor(index / grid.cols)];
+                const value = row ? row[index % grid.cols] : undefined;
+                values[index] = value === undefined ? null : value;
+            }
+            return;
+        }
         
-        // Create smoke particles
-        createSmokeParticles(x, y, smokeParticlesPerClick, hueBase);
+        // Values of the same day add up
+        const totals = new Map();
+        data.entries.forEach(({ date, value }) => {
+            const day = toDay(date);
+            if (day !== null && value !== null) {
+                totals.set(day, (totals.get(day) || 0) + value);
+            }
+        });
         
-        // Create glow effects
-        createGlowEffects(x, y, glowEffectsPerClick, hueBase);
+        const end = modeOptions.end !== undefined ? toDay(modeOptions.end) : Math.max(...totals.keys());
+        if (end === null || !Number.isFinite(end)) {
+            return;
+        }
         
-        // Create sparkle particles
-        createSparkleParticles(x, y, sparkleParticlesPerClick, hueBase);
+        // Weeks run down the columns of a seven-row grid, so the last one may stop short
+        let start = end - cellCount + 1;
+        if (grid.rows === 7) {
+            const weekStart = modeOptions.weekStart || 0;
+            // Day 0 of the epoch was a Thursday
+            const weekday = ((end + 4 - weekStart) % 7 + 7) % 7;
+            start = end - weekday - (grid.cols - 1) * 7;
+        }
         
-        // Create ripple effects
-        createRippleEffects(x, y, rippleEffectsPerClick, hueBase);
+        for (let index = 0; index < cellCount; index++) {
+            const day = start + (index % grid.cols) * grid.rows + Math.floor(index / grid.cols);
+            if (day <= end) {
+                days[index] = day;
+                values[index] = totals.has(day) ? totals.get(day) : null;
+            }
+        }
     }
     
     /**
-     * Creates regular particles
-     * @param {number} x - The x-coordinate of the effect center
-     * @param {number} y - The y-coordinate of the effect center
-     * @param {number} count - The number of particles to create
-     * @param {number} hueBase - The base hue value for the particles
+     * Sets the scale's domain from the options or the data
      */
-    function createParticles(x, y, count, hueBase) {
-        // Get the container's position to calculate relative coordinates
-        const container = document.querySelector('.container');
-        const containerRect = container.getBoundingClientRect();
-        
-        // Calculate position relative to the particles container
-        const relativeX = x - containerRect.left;
-        const relativeY = y - containerRect.top;
-        
-        for (let i = 0; i < count; i++) {
-            const particle = document.createElement('div');
-            particle.classList.add('particle');
-            
-            // Random size between 2px and 6px
-            const size = Math.random() * 4 + 2;
-            particle.style.width = `${size}px`;
-            particle.style.height = `${size}px`;
-            
-            // Position at the center of the clicked cell using relative coordinates
-            particle.style.left = `${relativeX}px`;
-            particle.style.top = `${relativeY}px`;
-            
-            // Random direction
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * 100 + 50;
-            const tx = Math.cos(angle) * distance;
-            const ty = Math.sin(angle) * distance;
-            
-            // Set custom properties for the animation
-            particle.style.setProperty('--tx', `${tx}px`);
-            particle.style.setProperty('--ty', `${ty}px`);
-            
-            // Random color variation based on position
-            const hue = hueBase + Math.random() * 30 - 15;
-            const saturation = Math.floor(Math.random() * 30) + 70; // 70-100%
-            const lightness = Math.floor(Math.random() * 20) + 50; // 50-70%
-            particle.style.backgroundColor = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
-            particle.style.boxShadow = `0 0 ${size * 2}px ${size}px hsla(${hue}, ${saturation}%, ${lightness}%, 0.7)`;
-            
-            // Animation duration between 0.5s and 1.5s
-            const duration = Math.random() + 0.5;
-            particle.style.animation = `particle-fade ${duration}s ease-out forwards`;
-            
-            // Add to container and remove after animation
-            particlesContainer.appendChild(particle);
-            setTimeout(() => {
-                particlesContainer.removeChild(particle);
-            }, duration * 1000);
-        }
+    function updateDomain() {
+        const present = values.filter(value => value !== null);
+        domain = {
+            min: scale.min !== undefined ? scale.min : (present.length ? Math.min(...present) : 0),
+            max: scale.max !== undefined ? scale.max : (present.length ? Math.max(...present) : 0)
+        };
     }
     
     /**
-     * Creates smoke particles
-     * @param {number} x - The x-coordinate of the effect center
-     * @param {number} y - The y-coordinate of the effect center
-     * @param {number} count - The number of smoke particles to create
-     * @param {number} hueBase - The base hue value for the smoke particles
+     * Places a value on the scale
+     * @param {number} value - The value
+     * @return {number} Its position from 0 to 1, snapped to a level on stepped scales
      */
-    function createSmokeParticles(x, y, count, hueBase) {
-        // Get the container's position to calculate relative coordinates
-        const container = document.querySelector('.container');
-        const containerRect = container.getBoundingClientRect();
+    function getScalePosition(value) {
+        const span = domain.max - domain.min;
+        if (span <= 0) {
+            return 1;
+        }
         
-        // Calculate position relative to the particles container
-        const relativeX = x - containerRect.left;
-        const relativeY = y - containerRect.top;
+        const offset = Math.min(Math.max(value - domain.min, 0), span);
+        let position = offset / span;
+        if (scale.type === 'sqrt') {
+            position = Math.sqrt(position);
+        } else if (scale.type === 'log') {
+            position = Math.log1p(offset) / Math.log1p(span);
+        }
         
-        for (let i = 0; i < count; i++) {
-            const smoke = document.createElement('div');
-            smoke.classList.add('smoke');
-            
-            // Random size between 20px and 40px
-            const size = Math.random() * 20 + 20;
-            smoke.style.width = `${size}px`;
-            smoke.style.height = `${size}px`;
-            
-            // Position at the center of the clicked cell using relative coordinates
-            smoke.style.left = `${relativeX - size / 2}px`;
-            smoke.style.top = `${relativeY - size / 2}px`;
-            
-            // Random direction with more upward bias
-            const angle = Math.random() * Math.PI - Math.PI / 2; // -90° to 90°
-            const distance = Math.random() * 100 + 50;
-            const tx = Math.cos(angle) * distance;
-            const ty = Math.sin(angle) * distance - 50; // Upward bias
-            
-            // Set custom properties for the animation
-            smoke.style.setProperty('--tx', `${tx}px`);
-            smoke.style.setProperty('--ty', `${ty}px`);
-            
-            // Color variation based on position
-            const hue = hueBase + Math.random() * 20 - 10;
-            smoke.style.background = `
-                radial-gradient(
-                    circle at center, 
-                    rgba(255, 255, 255, 0.8) 0%, 
-                    hsla(${hue}, 70%, 50%, 0.5) 30%, 
-                    hsla(${hue}, 70%, 30%, 0.2) 70%, 
-                    transparent 100%
-                )
-            `;
-            
-            // Animation duration between 1s and 2s
-            const duration = Math.random() + 1;
-            smoke.style.animation = `smoke-rise ${duration}s ease-out forwards`;
-            
-            // Add to container and remove after animation
-            particlesContainer.appendChild(smoke);
-            setTimeout(() => {
-                particlesContainer.removeChild(smoke);
-            }, duration * 1000);
-        }
-    }
-    
-    /**
-     * Creates glow effects
-     * @param {number} x - The x-coordinate of the effect center
-     * @param {number} y - The y-coordinate of the effect center
-     * @param {number} count - The number of glow effects to create
-     * @param {number} hueBase - The base hue value for the glow effects
-     */
-    function createGlowEffects(x, y, count, hueBase) {
-        // Get the container's position to calculate relative coordinates
-        const container = document.querySelector('.container');
-        const containerRect = container.getBoundingClientRect();
-        
-        // Calculate position relative to the particles container
-        const relativeX = x - containerRect.left;
-        const relativeY = y - containerRect.top;
-        
-        for (let i = 0; i < count; i++) {
-            const glow = document.createElement('div');
-            glow.classList.add('glow');
-            
-            // Random size between 10px and 30px
-            const size = Math.random() * 20 + 10;
-            glow.style.width = `${size}px`;
-            glow.style.height = `${size}px`;
-            
-            // Position at the center of the clicked cell using relative coordinates
-            glow.style.left = `${relativeX - size / 2}px`;
-            glow.style.top = `${relativeY - size / 2}px`;
-            
-            // Color variation based on position
-            const hue = hueBase + Math.random() * 20 - 10;
-            glow.style.boxShadow = `0 0 ${size * 2}px ${size}px hsla(${hue}, 80%, 60%, 0.7)`;
-            
-            // Animation duration between 0.7s and 1.2s
-            const duration = Math.random() * 0.5 + 0.7;
-            glow.style.animation = `glow-pulse ${duration}s ease-out forwards`;
-            
-            // Add to container and remove after animation
-            particlesContainer.appendChild(glow);
-            setTimeout(() => {
-                particlesContainer.removeChild(glow);
-            }, duration * 1000);
+        if (scale.steps > 1) {
+            return Math.min(Math.floor(position * scale.steps), scale.steps - 1) / (scale.steps - 1);
         }
+        return position;
     }
     
     /**
-     * Creates sparkle particles
-     * @param {number} x - The x-coordinate of the effect center
-     * @param {number} y - The y-coordinate of the effect center
-     * @param {number} count - The number of sparkle particles to create
-     * @param {number} hueBase - The base hue value for the sparkle particles
+     * Returns the color at a position on the scale
+     * @param {number} position - A value between 0 and 1
+     * @return {string} A CSS color
      */
-    function createSparkleParticles(x, y, count, hueBase) {
-        // Get the container's position to calculate relative coordinates
-        const container = document.querySelector('.container');
-        const containerRect = container.getBoundingClientRect();
+    function getScaleColor(position) {
+        if (!scale.colors) {
+            return `hsl(${grid.getThemeHue(position)}, 80%, ${Math.round(20 + 45 * position)}%)`;
+        }
+        if (scale.colors.length === 1) {
+            return scale.colors[0];
+        }
         
-        // Calculate position relative to the particles container
-        const relativeX = x - containerRect.left;
-        const relativeY = y - containerRect.top;
+        const scaled = position * (scale.colors.length - 1);
+        const index = Math.min(Math.floor(scaled), scale.colors.length - 2);
+        const amount = scaled - index;
+        const from = colorStops[index];
+        const to = colorStops[index + 1];
         
-        for (let i = 0; i < count; i++) {
-            const sparkle = document.createElement('div');
-            sparkle.classList.add('particle');
-            
-            // Very small size for sparkles
-            const size = Math.random() * 2 + 1;
-            sparkle.style.width = `${size}px`;
-            sparkle.style.height = `${size}px`;
-            
-            // Random position around the clicked point
-            const radius = Math.random() * 50;
-            const angle = Math.random() * Math.PI * 2;
-            const sparkleX = relativeX + Math.cos(angle) * radius;
-            const sparkleY = relativeY + Math.sin(angle) * radius;
-            
-            sparkle.style.left = `${sparkleX}px`;
-            sparkle.style.top = `${sparkleY}px`;
-            
-            // Bright color
-            const hue = hueBase + Math.random() * 30 - 15;
-            sparkle.style.backgroundColor = `hsl(${hue}, 100%, 80%)`;
-            sparkle.style.boxShadow = `0 0 ${size * 3}px ${size * 2}px hsla(${hue}, 100%, 70%, 0.9)`;
-            
-            // Animation duration between 0.3s and 0.8s
-            const duration = Math.random() * 0.5 + 0.3;
-            sparkle.style.animation = `sparkle ${duration}s ease-in-out infinite`;
-            
-            // Add to container and remove after some time
-            particlesContainer.appendChild(sparkle);
-            setTimeout(() => {
-                particlesContainer.removeChild(sparkle);
-            }, Math.random() * 1000 + 500);
+        // Colors that cannot be read are used as they are, without blending
+        if (amount === 0 || !from || !to) {
+            return scale.colors[Math.round(scaled)];
         }
+        
+        const mix = channel => from[channel] + (to[channel] - from[channel]) * amount;
+        return `rgba(${Math.round(mix('r'))}, ${Math.round(mix('g'))}, ${Math.round(mix('b'))}, ${+mix('a').toFixed(3)})`;
     }
     
     /**
-     * Creates ripple effects
-     * @param {number} x - The x-coordinate of the effect center
-     * @param {number} y - The y-coordinate of the effect center
-     * @param {number} count - The number of ripple effects to create
-     * @param {number} hueBase - The base hue value for the ripple effects
+     * Picks the color of a cell from its value
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     * @return {string|null} The CSS color, or null for a cell without a value
      */
-    function createRippleEffects(x, y, count, hueBase) {
-        // Get the container's position to calculate relative coordinates
-        const container = document.querySelector('.container');
-        const containerRect = container.getBoundingClientRect();
-        
-        // Calculate position relative to the particles container
-        const relativeX = x - containerRect.left;
-        const relativeY = y - containerRect.top;
-        
-        for (let i = 0; i < count; i++) {
-            const ripple = document.createElement('div');
-            ripple.style.position = 'absolute';
-            ripple.style.left = `${relativeX}px`;
-            ripple.style.top = `${relativeY}px`;
-            ripple.style.width = '10px';
-            ripple.style.height = '10px';
-            ripple.style.borderRadius = '50%';
-            
-            // Color based on position
-            const hue = hueBase + Math.random() * 20 - 10;
-            ripple.style.border = `5px solid hsla(${hue}, 80%, 60%, 0.7)`;
-            
-            // Animation
-            const duration = Math.random() * 0.5 + 0.8;
-            ripple.style.animation = `ripple ${duration}s ease-out forwards`;
-            
-            // Add to container and remove after animation
-            particlesContainer.appendChild(ripple);
-            setTimeout(() => {
-                particlesContainer.removeChild(ripple);
-            }, duration * 1000);
+    function getCellColor(row, col) {
+        const value = values[row * grid.cols + col];
+        return value === null ? null : getScaleColor(getScalePosition(value));
+    }
+    
+    /**
+     * Describes a value in words, with its unit
+     * @param {number|null} value - The value
+     * @return {string} The description
+     */
+    function describe(value) {
+        if (value === null) {
+            return 'no data';
         }
+        return modeOptions.unit ? `${format(value)} ${modeOptions.unit}` : format(value);
     }
     
     /**
-     * Returns a randomly selected animation style object for cell rotation or flipping.
-     * The returned object contains an `animation` property with a CSS animation string chosen from a set of predefined rotation, flip, spin, and pulse effects.
-     * @return {{animation: string}} An object specifying the animation style to apply.
+     * Shows the scale's range and colors in the legend
      */
-    function getRandomRotationStyle() {
-        const animations = [
-            { animation: 'rotate-scale 0.8s forwards' },
-            { animation: 'rotate-scale 1s reverse forwards' },
-            { animation: 'rotate-scale 1.2s alternate forwards' },
-            { animation: 'flip-in 0.7s forwards' },
-            { animation: 'spin-out 1s forwards, flip-in 0.5s 1s forwards' },
-            { animation: 'pulse 0.5s 2 forwards, rotate-scale 1s 1s forwards' }
-        ];
+    function updateLegend() {
+        if (!legend) {
+            return;
+        }
+        
+        legend.min.textContent = describe(domain.min);
+        legend.max.textContent = describe(domain.max);
+        legend.element.setAttribute('aria-label', `Colors from ${describe(domain.min)} to ${describe(domain.max)}`);
         
-        const randomIndex = Math.floor(Math.random() * animations.length);
-        return animations[randomIndex];
+        const levels = scale.steps > 1 ? scale.steps : 5;
+        legend.swatches.replaceChildren(...Array.from({ length: levels }, (unused, level) => {
+            const swatch = document.createElement('span');
+            swatch.classList.add('heatmap-swatch');
+            swatch.setAttribute('aria-hidden', 'true');
+            swatch.style.background = getScaleColor(level / (levels - 1));
+            return swatch;
+        }));
     }
     
     /**
-     * Generates a random semi-transparent HSLA color within the blue to purple hue range.
+     * Returns what a cell shows
      * @param {number} row - The row index of the cell
      * @param {number} col - The column index of the cell
-     * @return {string} An HSLA color string with hue between 240–300, saturation 40–70%, lightness 30–50%, and alpha 0.2–0.6.
+     * @return {{row: number, col: number, value: number|null, date: string|null}} The cell's value,
+     * and its day as an ISO date in a calendar
      */
-    function getGradientColor(row, col) {
-        // Calculate hue based on position in the grid
-        // This ensures the colors flow properly across the grid
-        const hueBase = 240; // Blue base
-        const hueRange = 60; // Up to purple
+    function getValue(row, col) {
+        const index = row * grid.cols + col;
+        const day = days[index];
+        return {
+            row,
+            col,
+            value: values[index],
+            date: day === null ? null : new Date(day * dayLength).toISOString().slice(0, 10)
+        };
+    }
+    
+    /**
+     * Returns the tooltip text of a cell
+     * @param {number} index - The index of the cell
+     * @return {string} The text
+     */
+    function getLabel(index) {
+        const info = getValue(Math.floor(index / grid.cols), index % grid.cols);
+        if (modeOptions.label) {
+            return modeOptions.label(info);
+        }
         
-        // Normalize position to 0-1 range
-        const normalizedPos = (row + col) / (gridSize * 2 - 2);
+        const place = info.date || `Row ${info.row + 1}, column ${info.col + 1}`;
+        return `${place}: ${describe(info.value)}`;
+    }
+    
+    /**
+     * Shows the tooltip over a cell, kept within the container
+     * @param {number} index - The index of the cell
+     */
+    function showTooltip(index) {
+        if (!tooltip) {
+            return;
+        }
         
-        // Calculate final hue
-        const hue = hueBase + normalizedPos * hueRange;
+        const row = Math.floor(index / grid.cols);
+        const cellRect = grid.getCell(row, index % grid.cols).getBoundingClientRect();
+        const containerRect = grid.container.getBoundingClientRect();
         
-        // Add some randomness to saturation and lightness
-        const saturation = Math.floor(Math.random() * 20) + 60; // 60-80%
-        const lightness = Math.floor(Math.random() * 15) + 35; // 35-50%
-        const alpha = 0.9; // High alpha for better visibility
+        tooltipIndex = index;
+        tooltip.textContent = getLabel(index);
+        tooltip.hidden = false;
         
-        return `hsla(${hue}, ${saturation}%, ${lightness}%, ${alpha})`;
+        // The top row has no room above it, so its tooltips go below
+        const below = row === 0;
+        const half = tooltip.offsetWidth / 2;
+        const center = cellRect.left - containerRect.left + cellRect.width / 2;
+        tooltip.classList.toggle('below', below);
+        tooltip.style.left = `${Math.min(Math.max(center, half), Math.max(containerRect.width - half, half))}px`;
+        tooltip.style.top = `${(below ? cellRect.bottom : cellRect.top) - containerRect.top}px`;
     }
     
     /**
-     * Checks if all grid cells are flipped and, if so, applies a pulsing animation to the grid container.
+     * Hides the tooltip
      */
-    function checkAllFlipped() {
-        const allFlipped = cells.every(cell => cell.classList.contains('flipped'));
-        if (allFlipped) {
-            // Add a pulsing effect to the entire grid when all cells are flipped
-            gridContainer.style.animation = 'pulse 2s infinite';
-            
-            // Create a special completion effect
-            createCompletionEffect();
-        } else {
-            // Remove animation if not all cells are flipped
-            gridContainer.style.animation = '';
+    function hideTooltip() {
+        if (!tooltip || tooltipIndex === null) {
+            return;
         }
+        
+        grid.getCell(Math.floor(tooltipIndex / grid.cols), tooltipIndex % grid.cols).removeAttribute('aria-describedby');
+        tooltipIndex = null;
+        tooltip.hidden = true;
     }
     
     /**
-     * Creates a special effect when all cells are flipped
+     * Shows the tooltip of the cell under the pointer
+     * @param {PointerEvent} event - The pointerover event
      */
-    function createCompletionEffect() {
-        // Get the container dimensions
-        const container = document.querySelector('.container');
-        const rect = container.getBoundingClientRect();
-        
-        // Create a central burst of particles
-        const centerX = rect.left + rect.width / 2;
-        const centerY = rect.top + rect.height / 2;
-        
-        // Create many particles in a circular burst
-        for (let i = 0; i < 100; i++) {
-            setTimeout(() => {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * 150 + 50;
-                const x = centerX + Math.cos(angle) * (distance / 4);
-                const y = centerY + Math.sin(angle) * (distance / 4);
-                
-                // Create particle with a random hue in the purple range
-                const hue = Math.random() * 60 + 240;
-                createParticles(x, y, 3, hue);
-                
-                if (i % 10 === 0) {
-                    createGlowEffects(x, y, 1, hue);
-                }
-                
-                if (i % 20 === 0) {
-                    createRippleEffects(x, y, 1, hue);
-                }
-            }, i * 20); // Stagger the creation for a more dynamic effect
+    function handlePointerOver(event) {
+        const cell = event.target.closest('.cell');
+        if (cell && cellIndices.has(cell)) {
+            showTooltip(cellIndices.get(cell));
         }
-        
-        // Create floating elements that drift around
-        createFloatingElements();
-        
-        // Create a grand finale canvas effect
-        createGrandFinaleEffect(centerX, centerY);
     }
     
     /**
-     * Creates a spectacular grand finale effect on the canvas
-     * @param {number} centerX - The x-coordinate of the center
-     * @param {number} centerY - The y-coordinate of the center
+     * Shows the tooltip of the focused cell, and has screen readers read it as the cell's description
+     * @param {FocusEvent} event - The focusin event
      */
-    function createGrandFinaleEffect(centerX, centerY) {
-        // Create a vortex of particles
-        for (let i = 0; i < 200; i++) {
-            setTimeout(() => {
-                const angle = (i / 200) * Math.PI * 10; // Spiral pattern
-                const distance = i * 0.5;
-                const x = centerX + Math.cos(angle) * distance;
-                const y = centerY + Math.sin(angle) * distance;
-                
-                // Create canvas particles with special properties
-                const hue = (i / 200) * 60 + 240; // Gradual color change
-                
-                canvasParticles.push({
-                    x,
-                    y,
-                    size: Math.random() * 4 + 2,
-                    speedX: Math.cos(angle + Math.PI/2) * 2,
-                    speedY: Math.sin(angle + Math.PI/2) * 2,
-                    life: Math.random() * 100 + 100,
-                    fullLife: 200,
-                    color: `hsla(${hue}, 90%, 60%, 0.8)`,
-                    glow: true
-                });
-                
-                // Start animation if not running
-                if (!animationLoopRunning) {
-                    animationLoopRunning = true;
-                    animateCanvasParticles();
-                }
-            }, i * 10);
+    function handleFocus(event) {
+        if (cellIndices.has(event.target)) {
+            hideTooltip();
+            showTooltip(cellIndices.get(event.target));
+            event.target.setAttribute('aria-describedby', tooltip.id);
         }
-        
-        // Create a shockwave effect
-        setTimeout(() => {
-            createShockwaveEffect(centerX, centerY);
-        }, 2000);
     }
     
     /**
-     * Creates a shockwave effect on the canvas
-     * @param {number} x - The x-coordinate of the center
-     * @param {number} y - The y-coordinate of the center
+     * Turns a cell over to match whether it has a value, waiting out a flip in progress
+     * @param {number} index - The index of the cell
      */
-    function createShockwaveEffect(x, y) {
-        let radius = 10;
-        const maxRadius = Math.max(canvas.width, canvas.height);
-        const speed = 5;
-        let opacity = 1;
+    function syncCell(index) {
+        const row = Math.floor(index / grid.cols);
+        const col = index % grid.cols;
         
-        function drawShockwave() {
-            ctx.save();
-            ctx.beginPath();
-            ctx.arc(x, y, radius, 0, Math.PI * 2);
-            ctx.lineWidth = 15;
-            ctx.strokeStyle = `hsla(260, 80%, 50%, ${opacity})`;
-            ctx.stroke();
-            
-            // Create trailing shockwaves
-            ctx.beginPath();
-            ctx.arc(x, y, radius * 0.8, 0, Math.PI * 2);
-            ctx.lineWidth = 8;
-            ctx.strokeStyle = `hsla(280, 90%, 60%, ${opacity * 0.7})`;
-            ctx.stroke();
-            
-            ctx.beginPath();
-            ctx.arc(x, y, radius * 0.6, 0, Math.PI * 2);
-            ctx.lineWidth = 4;
-            ctx.strokeStyle = `hsla(300, 100%, 70%, ${opacity * 0.5})`;
-            ctx.stroke();
-            ctx.restore();
-            
-            // Update for next frame
-            radius += speed;
-            opacity = 1 - (radius / maxRadius);
-            
-            if (opacity > 0) {
-                requestAnimationFrame(drawShockwave);
-            }
+        if (grid.isAnimating(row, col)) {
+            grid.schedule(() => syncCell(index), 200);
+        } else if (grid.isFlipped(row, col) !== (values[index] !== null)) {
+            grid.toggle(row, col, { effects: false });
         }
-        
-        drawShockwave();
     }
     
     /**
-     * Creates floating decorative elements after completion
+     * Shows the current values: recolors the cells, which fade between colors, and flips the
+     * cells that gained or lost a value in a diagonal wave
      */
-    function createFloatingElements() {
-        const container = document.querySelector('.container');
-        const rect = container.getBoundingClientRect();
+    function render() {
+        grid.cancelScheduled();
+        updateDomain();
+        grid.refreshColors();
+        updateLegend();
         
-        for (let i = 0; i < 15; i++) {
-            const floater = document.createElement('div');
-            floater.style.position = 'absolute';
-            floater.style.pointerEvents = 'none';
-            
-            // Random size
-            const size = Math.random() * 20 + 10;
-            floater.style.width = `${size}px`;
-            floater.style.height = `${size}px`;
-            
-            // Random position within container
-            const x = Math.random() * rect.width;
-            const y = Math.random() * rect.height;
-            floater.style.left = `${x}px`;
-            floater.style.top = `${y}px`;
-            
-            // Random color in our theme
-            const hue = Math.random() * 60 + 240;
-            floater.style.backgroundColor = `hsla(${hue}, 80%, 60%, 0.2)`;
-            floater.style.borderRadius = '50%';
-            floater.style.boxShadow = `0 0 ${size}px ${size/2}px hsla(${hue}, 80%, 60%, 0.3)`;
-            
-            // Random float animation
-            const floatY = (Math.random() - 0.5) * 50;
-            const floatR = (Math.random() - 0.5) * 180;
-            floater.style.setProperty('--float-y', `${floatY}px`);
-            floater.style.setProperty('--float-r', `${floatR}deg`);
-            
-            const duration = Math.random() * 3 + 2;
-            floater.style.animation = `float ${duration}s ease-in-out infinite`;
-            
-            // Add to container
-            particlesContainer.appendChild(floater);
+        for (let index = 0; index < cellCount; index++) {
+            const delay = (Math.floor(index / grid.cols) + index % grid.cols) * stagger;
+            grid.schedule(() => syncCell(index), delay);
+        }
+        
+        if (tooltipIndex !== null) {
+            tooltip.textContent = getLabel(tooltipIndex);
         }
     }
     
-    // Initialize the grid when the DOM is loaded
-    initializeGrid();
+    /**
+     * Replaces the data shown
+     * @param {string|Array|Object} data - The dataset, see `parseHeatmapData`
+     */
+    function setData(data) {
+        layOut(parseHeatmapData(data, modeOptions.fields));
+        render();
+        
+        const stats = getStats();
+        grid.announce(stats.cells
+            ? `Heatmap of ${stats.cells} values from ${describe(stats.min)} to ${describe(stats.max)}`
+            : 'Heatmap without data');
+        grid.dispatch('heatmapupdate', stats);
+    }
     
-    // Apply the gradient colors to each cell after a short delay
-    setTimeout(() => {
-        cells.forEach((cell, index) => {
-            const row = Math.floor(index / gridSize);
-            const col = index % gridSize;
-            
-            // Set the gradient color for this cell's ::before element
-            cell.style.setProperty('--cell-color', getGradientColor(row, col));
-            
-            // Apply the CSS variable to the ::before element
-            const style = document.createElement('style');
-            style.textContent = `
-                #${cell.id}::before {
-                    background: var(--cell-color);
+    /**
+     * Loads the data from a JSON or CSV file
+     * @param {string|Blob} source - A URL, or a file such as one picked by a file input
+     * @return {Promise} Resolves once the data is shown
+     */
+    function load(source) {
+        const text = source instanceof Blob
+            ? source.text()
+            : fetch(source).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Heatmap: cannot load "${source}"`);
                 }
-            `;
-            document.head.appendChild(style);
-            
-            // Initialize cell state
-            cell.dataset.animating = 'false';
-        });
-    }, 100);
+                return response.text();
+            });
+        return text.then(setData);
+    }
     
-    // Fix for any browser-specific issues with 3D transforms
-    document.addEventListener('click', function(e) {
-        if (e.target.classList.contains('cell')) {
-            // Force repaint to ensure proper rendering
-            e.target.style.transform = e.target.style.transform;
+    /**
+     * Tells which cell was picked
+     * @param {number} row - The row index of the cell
+     * @param {number} col - The column index of the cell
+     */
+    function activate(row, col) {
+        showTooltip(row * grid.cols + col);
+        grid.dispatch('heatmapselect', getValue(row, col));
+    }
+    
+    /**
+     * Summarizes the values shown
+     * @return {{cells: number, min: number|null, max: number|null, total: number}} The number of cells
+     * with a value, the lowest and highest of them, and their sum
+     */
+    function getStats() {
+        const present = values.filter(value => value !== null);
+        return {
+            cells: present.length,
+            min: present.length ? Math.min(...present) : null,
+            max: present.length ? Math.max(...present) : null,
+            total: present.reduce((sum, value) => sum + value, 0)
+        };
+    }
+    
+    /**
+     * Removes the legend and tooltip
+     */
+    function destroy() {
+        hideTooltip();
+        grid.element.removeEventListener('pointerover', handlePointerOver);
+        grid.element.removeEventListener('pointerleave', hideTooltip);
+        grid.element.removeEventListener('focusin', handleFocus);
+        grid.element.removeEventListener('focusout', hideTooltip);
+        grid.element.removeEventListener('themechange', updateLegend);
+        if (legend) {
+            legend.element.remove();
+        }
+        if (tooltip) {
+            tooltip.remove();
         }
-    }, true);
+    }
+    
+    if (modeOptions.data !== undefined) {
+        layOut(parseHeatmapData(modeOptions.data, modeOptions.fields));
+    }
+    render();
+    
+    return {
+        activate,
+        setData,
+        load,
+        getValue,
+        getStats,
+        getCellColor,
+        
+        // Revealing every cell shows data, it does not win anything
+        completion: false,
+        reset: render,
+        destroy
+    };
+}
+
+registerFlipGridMode('heatmap', createHeatmapMode);
+
+// Initialize every grid declared in the markup when the DOM is loaded,
+// using the optional global `flipGridConfig` object as options
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('[data-flip-grid]').forEach(container => {
+        createFlipGrid(container, window.flipGridConfig || {});
+    });
 }); 
\ No newline at end of file